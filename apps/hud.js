@@ -4,6 +4,7 @@
 
 import { ChronoballState } from '../scripts/state.js';
 import { ChronoballUtils } from '../scripts/utils.js';
+import { ChronoballTeams } from '../scripts/teams.js';
 
 export class ChronoballHUD {
   static element = null;
@@ -83,15 +84,31 @@ export class ChronoballHUD {
     const movePercent = maxMove > 0 ? (state.remainingMove / maxMove) * 100 : 0;
     const throwPercent = maxThrow > 0 ? (state.remainingThrow / maxThrow) * 100 : 0;
     
-    // Team colors: Team A = Blue, Team B = Red (always)
-    const teamAColor = '#2196F3';
-    const teamBColor = '#f44336';
-    
-    // Get attacking and defending team names with their respective colors
-    const attackingTeamName = state.attackingTeam === 'A' ? state.teamAName : state.teamBName;
-    const defendingTeamName = state.defendingTeam === 'A' ? state.teamAName : state.teamBName;
-    const attackingTeamColor = state.attackingTeam === 'A' ? teamAColor : teamBColor;
-    const defendingTeamColor = state.defendingTeam === 'A' ? teamAColor : teamBColor;
+    // Team colors come from the rules (Team A = Blue, Team B = Red by default)
+    const teams = ChronoballState.getTeams(rules);
+    const teamLabel = (team) => `<span style="color: ${ChronoballState.getTeamColor(team, rules, state)}; font-weight: bold;">${ChronoballState.getTeamName(team, state)}</span>`;
+    
+    // In a free-for-all every team without the ball defends
+    const attackingTeamLabel = teamLabel(state.attackingTeam);
+    const defendingTeamLabel = teams
+      .filter(team => team !== state.attackingTeam)
+      .map(teamLabel)
+      .join(', ');
+    
+    // Half / halftime row - only when the match is played in halves
+    const halves = Number(rules.halves) || 1;
+    let halfRowHTML = '';
+    if (halves > 1) {
+      const halfText = state.halftime
+        ? game.i18n.localize('CHRONOBALL.HUD.Halftime')
+        : `${state.half || 1} / ${halves}`;
+      halfRowHTML = `
+        <div class="hud-row">
+          <span class="hud-label">${game.i18n.localize('CHRONOBALL.HUD.Half')}:</span>
+          <span class="hud-value">${halfText}</span>
+        </div>
+      `;
+    }
     
     // Build movement rows HTML - only show if > 0
     let movementRowsHTML = '';
@@ -122,26 +139,24 @@ export class ChronoballHUD {
     
     const html = `
       <div class="hud-header">
+        ${teams.map(team => `
         <div class="team-info">
-          <div class="team-name" style="color: ${teamAColor}; font-weight: bold;">${state.teamAName}</div>
-          <div class="team-score">${state.teamAScore}</div>
-        </div>
-        <div class="vs-separator">VS</div>
-        <div class="team-info">
-          <div class="team-name" style="color: ${teamBColor}; font-weight: bold;">${state.teamBName}</div>
-          <div class="team-score">${state.teamBScore}</div>
+          ${ChronoballTeams.getLogoHTML(ChronoballTeams.getSideIdentity(team, state), 32)}
+          <div class="team-name" style="color: ${ChronoballState.getTeamColor(team, rules, state)}; font-weight: bold;">${ChronoballState.getTeamName(team, state)}</div>
+          <div class="team-score">${ChronoballState.getTeamScore(team, state)}</div>
         </div>
+        `).join(teams.length === 2 ? '<div class="vs-separator">VS</div>' : '')}
       </div>
       
       <div class="hud-body">
         <div class="hud-row">
           <span class="hud-label">${game.i18n.localize('CHRONOBALL.HUD.Attacking')}:</span>
-          <span class="hud-value" style="color: ${attackingTeamColor}; font-weight: bold;">${attackingTeamName}</span>
+          <span class="hud-value">${attackingTeamLabel}</span>
         </div>
         
         <div class="hud-row">
           <span class="hud-label">${game.i18n.localize('CHRONOBALL.HUD.Defending')}:</span>
-          <span class="hud-value" style="color: ${defendingTeamColor}; font-weight: bold;">${defendingTeamName}</span>
+          <span class="hud-value">${defendingTeamLabel}</span>
         </div>
         
         <div class="hud-row">
@@ -149,6 +164,20 @@ export class ChronoballHUD {
           <span class="hud-value">${carrier ? carrier.name : game.i18n.localize('CHRONOBALL.Errors.NoCarrier')}</span>
         </div>
         
+        ${halfRowHTML}
+        
+        ${state.outOfBounds ? `
+        <div class="hud-row out-of-bounds">
+          <span class="hud-value">${game.i18n.format(state.outOfBounds.throwIn ? 'CHRONOBALL.HUD.OutOfBoundsThrowIn' : 'CHRONOBALL.HUD.OutOfBoundsTurnover', { team: teamLabel(state.outOfBounds.team) })}</span>
+        </div>
+        ` : ''}
+        
+        ${state.overtime ? `
+        <div class="hud-row overtime">
+          <span class="hud-value">${game.i18n.localize('CHRONOBALL.HUD.SuddenDeath')}</span>
+        </div>
+        ` : ''}
+        
         ${movementRowsHTML}
       </div>
     `;
@@ -6,10 +6,28 @@ import { ChronoballState } from '../scripts/state.js';
 import { ChronoballRoster } from '../scripts/roster.js';
 import { ChronoballBall } from '../scripts/ball.js';
 import { ChronoballHUD } from './hud.js';
-import { ChronoballChat } from '../scripts/chat.js';
 import { ChronoballUtils } from '../scripts/utils.js';
+import { ChronoballMatchLog } from '../scripts/match-log.js';
+import { ChronoballStats } from '../scripts/stats.js';
+import { ChronoballMatch } from '../scripts/match.js';
+import { ChronoballTournament } from '../scripts/tournament.js';
+import { ChronoballTeams } from '../scripts/teams.js';
 
 export class ChronoballPlayerPanel extends Application {
+  constructor(options = {}) {
+    super(options);
+    
+    // Re-render when team flags change on any token or actor, whoever changed them
+    const refresh = foundry.utils.debounce(() => { if (this.rendered) this.render(); }, 100);
+    const onUpdate = (doc, changes) => {
+      if (foundry.utils.hasProperty(changes, 'flags.chronoball')) refresh();
+    };
+    this._hooks = [
+      ['updateToken', Hooks.on('updateToken', onUpdate)],
+      ['updateActor', Hooks.on('updateActor', onUpdate)]
+    ];
+  }
+  
   static get defaultOptions() {
     return foundry.utils.mergeObject(super.defaultOptions, {
       id: 'chronoball-player-panel',
@@ -18,20 +36,28 @@ export class ChronoballPlayerPanel extends Application {
       width: 600,
       height: 'auto',
       resizable: true,
-      template: 'modules/chronoball/templates/player-panel.html'
+      template: 'modules/chronoball/templates/player-panel.html',
+      dragDrop: [{ dragSelector: '.roster-player', dropSelector: '.roster-drop' }]
     });
   }
   
   getData() {
     const state = ChronoballState.getMatchState();
     const rosters = ChronoballRoster.getRosterDisplayData();
+    const lastPlay = ChronoballMatchLog.getLastUndoableEntry();
+    const tournament = ChronoballTournament.getTournament();
+    const fixture = ChronoballTournament.getCurrentFixture(tournament) || ChronoballTournament.getNextFixture(tournament);
     
     return {
       state,
       rosters,
+      isGM: game.user.isGM,
+      lastPlay: lastPlay ? ChronoballMatchLog.describeEntry(lastPlay) : null,
+      tournamentFixture: fixture ? ChronoballTournament.describeFixture(tournament, fixture) : null,
       hasTeamA: rosters.teamA.length > 0,
       hasTeamB: rosters.teamB.length > 0,
-      maxPlayersPerTeam: ChronoballRoster.MAX_PLAYERS_PER_TEAM // Pass the constant to the template
+      maxPlayersPerTeam: ChronoballRoster.getTeamSize(),
+      identities: ChronoballTeams.getIdentityList()
     };
   }
   
@@ -43,6 +69,12 @@ export class ChronoballPlayerPanel extends Application {
     html.find('.determine-teams').click(this._onDetermineTeams.bind(this));
     html.find('.start-match').click(this._onStartMatch.bind(this));
     html.find('.end-match').click(this._onEndMatch.bind(this));
+    html.find('.undo-play').click(this._onUndoPlay.bind(this));
+    html.find('.resume-half').click(this._onResumeHalf.bind(this));
+    html.find('.bench-player').click(this._onBenchPlayer.bind(this));
+    html.find('.sub-in-player').click(this._onSubInPlayer.bind(this));
+    html.find('.remove-player').click(this._onRemovePlayer.bind(this));
+    html.find('select.team-identity').change(this._onPickIdentity.bind(this));
     html.find('.save-settings').click(this._onSave.bind(this));
   }
   
@@ -73,9 +105,12 @@ export class ChronoballPlayerPanel extends Application {
   async _onStartMatch(event) {
     event.preventDefault();
 
+    // A running tournament sets up the names and rosters of its next fixture
+    await ChronoballTournament.startNextFixture();
+
     // Ensure teams are determined
     const rosters = ChronoballRoster.getRosterDisplayData();
-    if (rosters.teamA.length === 0 && rosters.teamB.length === 0) {
+    if (rosters.teams.every(team => team.players.length === 0)) {
       ui.notifications.warn('Please determine teams first using "Determine Teams from Endzones"');
       return;
     }
@@ -83,6 +118,11 @@ export class ChronoballPlayerPanel extends Application {
     // Ensure combat exists FIRST (before creating ball!)
     await ChronoballState.ensureCombat();
     
+    // Fresh event log for the new match
+    await ChronoballMatchLog.clear();
+    await ChronoballStats.clear();
+    ChronoballMatchLog.open();
+    
     // Create or find ball token (now combat exists for state storage)
     await this._ensureBallToken();
     
@@ -106,67 +146,211 @@ export class ChronoballPlayerPanel extends Application {
     
     if (!confirm) return;
     
-    const state = ChronoballState.getMatchState();
+    await ChronoballMatch.endMatch();
     
-    // Determine winner
-    let winnerText;
-    if (state.teamAScore > state.teamBScore) {
-      winnerText = game.i18n.format('CHRONOBALL.Chat.MatchWinner', { team: state.teamAName });
-    } else if (state.teamBScore > state.teamAScore) {
-      winnerText = game.i18n.format('CHRONOBALL.Chat.MatchWinner', { team: state.teamBName });
-    } else {
-      winnerText = game.i18n.localize('CHRONOBALL.Chat.MatchTie');
-    }
+    this.close();
+  }
+  
+  async _onResumeHalf(event) {
+    event.preventDefault();
+    await ChronoballMatch.resumeFromHalftime();
+    this.render();
+  }
+  
+  async close(options) {
+    for (const [hook, id] of this._hooks) Hooks.off(hook, id);
+    return super.close(options);
+  }
+  
+  _canDragStart(selector) {
+    return true;
+  }
+  
+  _canDragDrop(selector) {
+    return true;
+  }
+  
+  _onDragStart(event) {
+    const tokenId = event.currentTarget.dataset.tokenId;
+    const token = canvas.tokens.get(tokenId);
+    if (!token) return;
+    event.dataTransfer.setData('text/plain', JSON.stringify({ type: 'Token', uuid: token.document.uuid }));
+  }
+  
+  /**
+   * Drop a token or actor onto a team's lineup or bench. Dropping onto a player
+   * puts the dropped one in front of them.
+   */
+  async _onDrop(event) {
+    const data = TextEditor.getDragEventData(event);
+    const token = await ChronoballRoster.getTokenFromDropData(data);
+    if (!token) return;
     
-    // Create end match chat message
-    const content = `
-      <div class="chronoball-chat-message match-end">
-        <div class="message-header">
-          <span class="message-icon">🏆</span>
-          <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.MatchEndTitle')}</span>
-        </div>
-        <div class="message-body">
-          <h2 style="text-align: center; margin: 10px 0; font-size: 20px;">
-            ${game.i18n.localize('CHRONOBALL.Chat.FinalScore')}
-          </h2>
-          <p style="text-align: center; font-size: 24px;">
-            <span style="color: var(--team-a-color, #89CFF0);">${state.teamAName}</span> ${state.teamAScore} - ${state.teamBScore} <span style="color: var(--team-b-color, #F08080);">${state.teamBName}</span>
-          </p>
-          <p style="text-align: center; font-size: 16px; font-weight: bold;">
-            ${winnerText}
-          </p>
-        </div>
-      </div>
-    `;
+    const target = event.currentTarget;
+    const before = event.target.closest('.roster-player');
+    const index = before ? Number(before.dataset.index) : null;
     
-    await ChronoballChat.createMessage({
-      content,
-      speaker: { alias: 'Chronoball' }
+    await ChronoballRoster.movePlayer(token.id, target.dataset.team, {
+      benched: target.dataset.bench === 'true',
+      index
     });
+    this.render();
+  }
+  
+  async _onPickIdentity(event) {
+    const team = event.currentTarget.dataset.team;
+    await ChronoballTeams.assignToSide(team, event.currentTarget.value);
+    this.render();
+  }
+  
+  async _onRemovePlayer(event) {
+    event.preventDefault();
+    await ChronoballRoster.removePlayer(event.currentTarget.dataset.tokenId);
+    this.render();
+  }
+  
+  /**
+   * Add a "Join Team" button to the token HUD
+   */
+  static onRenderTokenHUD(hud, html) {
+    const token = hud.object;
+    if (!token?.actor || ChronoballState.isBallToken(token.id)) return;
+    
+    const button = $(`
+      <div class="control-icon chronoball-join-team" title="${game.i18n.localize('CHRONOBALL.PlayerPanel.JoinTeam')}">
+        <i class="fas fa-users"></i>
+      </div>
+    `);
+    button.on('click', () => this._showJoinTeamDialog(token));
+    html.find('.col.right').append(button);
+  }
+  
+  static _showJoinTeamDialog(token) {
+    const currentTeam = ChronoballState.getTeamAssignment(token.id);
+    const buttons = {};
     
-    // Clear carrier (if exists)
-    const carrier = ChronoballState.getCarrierToken();
-    if (carrier) {
-      await ChronoballBall.executeClearCarrier();
-      ChronoballUtils.log('Chronoball | Carrier cleared during end match');
+    for (const team of ChronoballState.getTeams()) {
+      buttons[team] = {
+        label: ChronoballState.getTeamName(team),
+        callback: () => ChronoballRoster.movePlayer(token.id, team)
+      };
     }
-
-    // Delete ALL Chronoball tokens on the scene
-    const chronoballTokens = canvas.tokens.placeables.filter(t => t.actor?.name === 'Chronoball');
-    for (const token of chronoballTokens) {
-      await token.document.delete();
-      ChronoballUtils.log('Chronoball | Deleted ball token:', token.id);
+    if (currentTeam) {
+      buttons.leave = {
+        icon: '<i class="fas fa-user-minus"></i>',
+        label: game.i18n.localize('CHRONOBALL.PlayerPanel.LeaveTeam'),
+        callback: () => ChronoballRoster.removePlayer(token.id)
+      };
     }
     
-    // Reset match state BEFORE deleting combat (needs combat for state storage)
-    await ChronoballState.resetState();
-    // End combat (this will also clear the state)
-    if (game.combat) {
-      await game.combat.delete();
+    new Dialog({
+      title: `${game.i18n.localize('CHRONOBALL.PlayerPanel.JoinTeam')}: ${token.name}`,
+      content: `<p>${game.i18n.localize('CHRONOBALL.PlayerPanel.JoinTeamHint')}</p>`,
+      buttons
+    }).render(true);
+  }
+  
+  /**
+   * Make combat tracker entries draggable onto the rosters and mark them in their team colour
+   */
+  static onRenderCombatTracker(app, html) {
+    const combat = app.viewed;
+    if (!combat) return;
+    
+    const state = ChronoballState.getMatchState();
+    const rules = ChronoballState.getRules();
+    
+    html.find('.combatant[data-combatant-id]').each((i, li) => {
+      const combatant = combat.combatants.get(li.dataset.combatantId);
+      if (!combatant?.token) return;
+      
+      const team = ChronoballState.getTeamAssignment(combatant.tokenId);
+      if (team) {
+        li.style.borderLeft = `4px solid ${ChronoballState.getTeamColor(team, rules, state)}`;
+      }
+      
+      li.setAttribute('draggable', true);
+      li.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData('text/plain', JSON.stringify({ type: 'Token', uuid: combatant.token.uuid }));
+      });
+    });
+  }
+  
+  async _onBenchPlayer(event) {
+    event.preventDefault();
+    const { team, tokenId } = event.currentTarget.dataset;
+    await ChronoballRoster.substitute(team, tokenId, null);
+    this.render();
+  }
+  
+  async _onSubInPlayer(event) {
+    event.preventDefault();
+    const { team, tokenId } = event.currentTarget.dataset;
+    
+    // With a full lineup the GM picks who makes room
+    let outTokenId = null;
+    const fielded = ChronoballRoster.getTeamRoster(team);
+    if (fielded.length >= ChronoballRoster.getTeamSize()) {
+      outTokenId = await this._askPlayerOut(fielded, canvas.tokens.get(tokenId)?.name);
+      if (!outTokenId) return;
     }
     
-    ui.notifications.info('Match ended! Final score announced in chat.');
-    this.close();
+    await ChronoballRoster.substitute(team, outTokenId, tokenId);
+    this.render();
+  }
+  
+  /**
+   * Ask which fielded player goes to the bench. Resolves to the token ID or null.
+   */
+  async _askPlayerOut(fielded, inName) {
+    const options = fielded.map(token => `<option value="${token.id}">${token.name}</option>`).join('');
+    
+    return new Promise((resolve) => {
+      new Dialog({
+        title: game.i18n.localize('CHRONOBALL.PlayerPanel.Substitute'),
+        content: `
+          <form>
+            <div class="form-group">
+              <label>${game.i18n.format('CHRONOBALL.PlayerPanel.SubstituteFor', { name: inName })}</label>
+              <select name="outTokenId">${options}</select>
+            </div>
+          </form>
+        `,
+        buttons: {
+          ok: {
+            icon: '<i class="fas fa-exchange-alt"></i>',
+            label: game.i18n.localize('CHRONOBALL.PlayerPanel.Substitute'),
+            callback: (html) => resolve(html.find('[name="outTokenId"]').val())
+          },
+          cancel: {
+            label: game.i18n.localize('Cancel'),
+            callback: () => resolve(null)
+          }
+        },
+        default: 'ok',
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+  
+  async _onUndoPlay(event) {
+    event.preventDefault();
+
+    const lastPlay = ChronoballMatchLog.getLastUndoableEntry();
+    if (!lastPlay) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Notifications.NothingToUndo'));
+      return;
+    }
+
+    const confirm = await Dialog.confirm({
+      title: game.i18n.localize('CHRONOBALL.PlayerPanel.UndoLastPlay'),
+      content: `<p>${game.i18n.format('CHRONOBALL.PlayerPanel.UndoConfirm', { play: ChronoballMatchLog.describeEntry(lastPlay) })}</p>`
+    });
+
+    if (!confirm) return;
+
+    await ChronoballMatchLog.undoLastPlay();
+    this.render();
   }
   
   async _ensureBallToken() {
@@ -178,24 +362,18 @@ export class ChronoballPlayerPanel extends Application {
     ChronoballUtils.log('Chronoball | _ensureBallToken - Current ball token:', ballToken);
     
     if (!ballToken) {
-      // Get Zone A tile to place ball in center
-      const zoneATileIdOnly = rules.zoneATileId.split('.').pop();
-      const zoneATile = canvas.tiles.get(zoneATileIdOnly);
+      // Get Zone A to place ball in center
+      const spawnPoint = ChronoballState.getZoneSpawnPoint(rules.zoneATileId);
       
-      if (!zoneATile) {
+      if (!spawnPoint) {
         ui.notifications.error('Zone A not found. Cannot place ball.');
         return;
       }
       
-      // Calculate center of Zone A using bounds
-      const bounds = zoneATile.bounds;
-      const centerX = bounds.x + (bounds.width / 2);
-      const centerY = bounds.y + (bounds.height / 2);
-      
       // Adjust for token size (center the token itself)
       const gridSize = canvas.grid.size;
-      const tokenX = centerX - (gridSize / 2);
-      const tokenY = centerY - (gridSize / 2);
+      const tokenX = spawnPoint.x - (gridSize / 2);
+      const tokenY = spawnPoint.y - (gridSize / 2);
       
       // Find or create ball actor robustly
       const ballActor = await ChronoballState.getOrCreateBallActor();
@@ -245,17 +423,12 @@ export class ChronoballPlayerPanel extends Application {
       }
     } else {
       // Ball exists, move it to Zone A center
-      const zoneATileIdOnly = rules.zoneATileId.split('.').pop();
-      const zoneATile = canvas.tiles.get(zoneATileIdOnly);
+      const spawnPoint = ChronoballState.getZoneSpawnPoint(rules.zoneATileId);
       
-      if (zoneATile) {
-        const bounds = zoneATile.bounds;
-        const centerX = bounds.x + (bounds.width / 2);
-        const centerY = bounds.y + (bounds.height / 2);
-        
+      if (spawnPoint) {
         const gridSize = canvas.grid.size;
-        const tokenX = centerX - (gridSize / 2);
-        const tokenY = centerY - (gridSize / 2);
+        const tokenX = spawnPoint.x - (gridSize / 2);
+        const tokenY = spawnPoint.y - (gridSize / 2);
         
         await ballToken.document.update({
           x: tokenX,
@@ -271,13 +444,12 @@ export class ChronoballPlayerPanel extends Application {
     event.preventDefault();
 
     const html = this.element;
-    const teamAName = html.find('[name="teamAName"]').val();
-    const teamBName = html.find('[name="teamBName"]').val();
+    const updates = {};
+    for (const team of ChronoballState.getTeams()) {
+      updates[`team${team}Name`] = html.find(`[name="team${team}Name"]`).val();
+    }
 
-    await ChronoballState.updateState({
-      teamAName,
-      teamBName
-    });
+    await ChronoballState.updateState(updates);
 
     ui.notifications.info(game.i18n.localize('CHRONOBALL.PlayerPanel.Save'));
     this.render();
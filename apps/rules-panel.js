@@ -3,8 +3,20 @@
  */
 
 import { ChronoballState } from '../scripts/state.js';
+import { ChronoballRoster } from '../scripts/roster.js';
+import { ChronoballSystem } from '../scripts/system.js';
+import { ChronoballPresets } from '../scripts/presets.js';
+import { ChronoballZonePicker } from '../scripts/zone-picker.js';
 
 export class ChronoballRulesPanel extends Application {
+  static FIELD_COLOR = '#ffffff';
+
+  constructor(options = {}) {
+    super(options);
+    this.presetId = null;
+    this._presetsHook = Hooks.on('chronoball.presetsChanged', () => this.render());
+  }
+
   static get defaultOptions() {
     return foundry.utils.mergeObject(super.defaultOptions, {
       id: 'chronoball-rules-panel',
@@ -20,42 +32,89 @@ export class ChronoballRulesPanel extends Application {
   getData() {
     const rules = ChronoballState.getRules();
 
-    // Prepare skill data for checkboxes
-    const dndSkillsList = {
-      acr: "Acrobatics",
-      ani: "Animal Handling",
-      arc: "Arcana",
-      ath: "Athletics",
-      dec: "Deception",
-      his: "History",
-      ins: "Insight",
-      itm: "Intimidation",
-      inv: "Investigation",
-      med: "Medicine",
-      nat: "Nature",
-      prc: "Perception",
-      prf: "Performance",
-      per: "Persuasion",
-      rel: "Religion",
-      slt: "Sleight of Hand",
-      ste: "Stealth",
-      sur: "Survival"
-    };
+    // Prepare skill data for checkboxes; the system adapter lists the skills
+    const skillsList = ChronoballSystem.adapter.getSkills();
 
-    const savedSkills = new Set((rules.availableSkills || '').split(',').map(s => s.split(':')[0]));
-    const dndSkills = Object.entries(dndSkillsList).map(([id, label]) => ({
+    const savedSkills = new Set(rules.availableSkills
+      ? rules.availableSkills.split(',').map(s => s.split(':')[0])
+      : ChronoballSystem.adapter.getDefaultSkills().map(s => s.id));
+    const systemSkills = Object.entries(skillsList).map(([id, label]) => ({
       id,
       label,
       checked: savedSkills.has(id)
     }));
 
-    return { rules, dndSkills };
+    // Zone and colour of every possible team; C and D are only used in free-for-all matches.
+    // A team identity picked in the Player Panel overrides the colour.
+    const missingZones = ChronoballState.getMissingZones(rules);
+    const teams = ChronoballState.TEAMS.map(team => ({
+      id: team,
+      tileId: rules[`zone${team}TileId`] || '',
+      missing: missingZones.includes(team),
+      color: rules[`team${team}Color`] || ChronoballState.DEFAULT_TEAM_COLORS[team]
+    }));
+
+    // Extra scoring targets, with the teams that can defend them
+    const scoringTargets = (rules.scoringTargets ?? []).map(target => ({
+      ...ChronoballState.getDefaultScoringTarget(),
+      ...target,
+      missing: !!target.zoneId && !ChronoballState.getZone(target.zoneId)
+    }));
+    const playingTeams = ChronoballState.getTeams(rules).map(id => ({ id, name: ChronoballState.getTeamName(id) }));
+
+    // Every throw style besides the standard throw, enabled or not
+    const throwStyles = Object.entries(ChronoballState.getDefaultThrowStyles()).map(([id, defaults]) => ({
+      ...defaults,
+      ...rules.throwStyles?.[id],
+      id,
+      label: game.i18n.localize(`CHRONOBALL.ThrowStyles.${id}`)
+    }));
+
+    return {
+      rules: { ...rules, criticalThrowBonus: rules.criticalThrowBonus ?? 10, outOfBounds: rules.outOfBounds ?? 'turnover', wallCollision: rules.wallCollision ?? 'none', wallCollisionResult: rules.wallCollisionResult ?? 'stop', pathInterceptRadius: rules.pathInterceptRadius ?? 5, teamCount: Number(rules.teamCount) || 2, teamSize: ChronoballRoster.getTeamSize(rules) },
+      systemSkills,
+      isSimpleMode: ChronoballSystem.isSimpleMode(),
+      teams,
+      teamCounts: [2, 3, 4],
+      scoringTargets,
+      playingTeams,
+      newScoringTarget: ChronoballState.getDefaultScoringTarget(),
+      distanceTiers: rules.throwDistanceTiers ?? [],
+      throwStyles,
+      fieldZoneMissing: !!rules.fieldZoneId && !ChronoballState.getZone(rules.fieldZoneId),
+      newDistanceTier: { minDistance: 60, bonus: 1 },
+      presets: ChronoballPresets.getPresetList(),
+      presetId: ChronoballPresets.getPreset(this.presetId) ? this.presetId : null
+    };
   }
   
   activateListeners(html) {
     super.activateListeners(html);
     html.find('.save-rules').click(this._onSave.bind(this));
     html.find('.reset-rules').click(this._onReset.bind(this));
+    html.find('.pick-zone').click(this._onPickZone.bind(this));
+    html.find('.show-zone').click(this._onShowZone.bind(this));
+    html.find('.pick-field-zone').click(this._onPickFieldZone.bind(this));
+    html.find('.show-field-zone').click(this._onShowFieldZone.bind(this));
+
+    // Delegated, so target rows added after rendering work too
+    html.on('click', '.add-list-row', this._onAddListRow.bind(this));
+    html.on('click', '.remove-list-row', this._onRemoveListRow.bind(this));
+    html.on('click', '.pick-target-zone', this._onPickTargetZone.bind(this));
+    html.on('click', '.show-target-zone', this._onShowTargetZone.bind(this));
+
+    html.find('.preset-select').change(this._onSelectPreset.bind(this));
+    html.find('.apply-preset').click(this._onApplyPreset.bind(this));
+    html.find('.diff-preset').click(this._onDiffPreset.bind(this));
+    html.find('.save-preset').click(this._onSavePreset.bind(this));
+    html.find('.delete-preset').click(this._onDeletePreset.bind(this));
+    html.find('.export-presets').click(this._onExportPresets.bind(this));
+    html.find('.import-presets').click(this._onImportPresets.bind(this));
+  }
+  
+  async close(options) {
+    Hooks.off('chronoball.presetsChanged', this._presetsHook);
+    return super.close(options);
   }
   
   async _onSave(event) {
@@ -72,6 +131,7 @@ export class ChronoballRulesPanel extends Application {
     formData.dcIncrease = parseInt(formData.dcIncrease) || 2;
     formData.interceptRadius = parseInt(formData.interceptRadius) || 10;
     formData.interceptTimeout = parseInt(formData.interceptTimeout) || 10000;
+    formData.pathInterceptRadius = parseInt(formData.pathInterceptRadius) || 0;
     formData.carrierTempHP = parseInt(formData.carrierTempHP) || 10;
     formData.carrierAuraScale = parseFloat(formData.carrierAuraScale) || 1.5;
     formData.ballScale = parseFloat(formData.ballScale) || 1.0;
@@ -81,38 +141,36 @@ export class ChronoballRulesPanel extends Application {
     formData.fumbleStartDC = parseInt(formData.fumbleStartDC) || 10;
     formData.fumbleDamageThreshold = parseInt(formData.fumbleDamageThreshold) || 10;
     formData.fumbleDCIncrease = parseInt(formData.fumbleDCIncrease) || 2;
+    formData.winScore = parseInt(formData.winScore) || 0;
+    formData.maxPhases = parseInt(formData.maxPhases) || 0;
+    formData.maxRounds = parseInt(formData.maxRounds) || 0;
+    formData.mercyLead = parseInt(formData.mercyLead) || 0;
+    formData.halves = parseInt(formData.halves) || 1;
+    formData.phasesPerHalf = parseInt(formData.phasesPerHalf) || 0;
+    formData.teamCount = parseInt(formData.teamCount) || 2;
+    formData.teamSize = parseInt(formData.teamSize) || ChronoballRoster.MAX_PLAYERS_PER_TEAM;
 
     // Handle checkboxes which are not present in formData if unchecked
     formData.interceptOnThrow = formData.interceptOnThrow || false;
     formData.blockAtReceiver = formData.blockAtReceiver || false;
+    formData.interceptAlongPath = formData.interceptAlongPath || false;
+    formData.suddenDeath = formData.suddenDeath || false;
+    formData.halftimeHeal = formData.halftimeHeal || false;
+    formData.halftimeShortRest = formData.halftimeShortRest || false;
+    formData.halftimeSwitchSides = formData.halftimeSwitchSides || false;
+
+    formData.scoringTargets = this._getScoringTargetsFormData();
+    formData.throwDistanceTiers = this._getDistanceTiersFormData();
+    formData.throwStyles = this._getThrowStylesFormData();
 
     // Handle skill checkboxes
-    const dndSkillsList = {
-      acr: "Acrobatics",
-      ani: "Animal Handling",
-      arc: "Arcana",
-      ath: "Athletics",
-      dec: "Deception",
-      his: "History",
-      ins: "Insight",
-      itm: "Intimidation",
-      inv: "Investigation",
-      med: "Medicine",
-      nat: "Nature",
-      prc: "Perception",
-      prf: "Performance",
-      per: "Persuasion",
-      rel: "Religion",
-      slt: "Sleight of Hand",
-      ste: "Stealth",
-      sur: "Survival"
-    };
+    const skillsList = ChronoballSystem.adapter.getSkills();
 
     const selectedSkills = Object.keys(formData)
       .filter(key => key.startsWith('skills.') && formData[key])
       .map(key => {
         const skillId = key.split('.')[1];
-        return `${skillId}:${dndSkillsList[skillId]}`;
+        return `${skillId}:${skillsList[skillId]}`;
       });
     formData.availableSkills = selectedSkills.join(',');
 
@@ -125,10 +183,162 @@ export class ChronoballRulesPanel extends Application {
 
     await ChronoballState.updateRules(formData);
     
+    const missingZones = ChronoballState.getMissingZones(formData);
+    if (missingZones.length > 0) {
+      ui.notifications.warn(game.i18n.format('CHRONOBALL.ZonePicker.MissingOnSave', { teams: missingZones.join(', ') }));
+    }
     ui.notifications.info(game.i18n.localize('CHRONOBALL.RulesPanel.Save'));
     this.render(false);
   }
   
+  /**
+   * Read the scoring target rows. Their inputs have no names, so they are not part of the form data.
+   */
+  _getScoringTargetsFormData() {
+    return this.element.find('.scoring-targets .scoring-target').toArray().map(row => {
+      const field = (name) => $(row).find(`[data-field="${name}"]`).val();
+      return {
+        id: row.dataset.targetId || foundry.utils.randomID(),
+        name: field('name').trim(),
+        zoneId: field('zoneId').trim(),
+        team: field('team'),
+        scoreRunIn: parseInt(field('scoreRunIn')) || 0,
+        scoreThrow: parseInt(field('scoreThrow')) || 0,
+        scorePassInZone: parseInt(field('scorePassInZone')) || 0
+      };
+    });
+  }
+
+  /**
+   * Read the distance tier rows, shortest distance first. Rows without a distance or bonus are dropped.
+   */
+  _getDistanceTiersFormData() {
+    return this.element.find('.distance-tiers .distance-tier').toArray()
+      .map(row => ({
+        minDistance: parseInt($(row).find('[data-field="minDistance"]').val()) || 0,
+        bonus: parseInt($(row).find('[data-field="bonus"]').val()) || 0
+      }))
+      .filter(tier => tier.minDistance > 0 && tier.bonus !== 0)
+      .sort((a, b) => a.minDistance - b.minDistance);
+  }
+
+  /**
+   * Read the throw style cards, keyed by style ID. Like the list rows, their inputs are not part of the form data.
+   */
+  _getThrowStylesFormData() {
+    const styles = {};
+    for (const card of this.element.find('.throw-style').toArray()) {
+      const field = (name) => $(card).find(`[data-field="${name}"]`);
+      styles[card.dataset.style] = {
+        enabled: field('enabled').prop('checked'),
+        baseDC: parseInt(field('baseDC').val()) || 0,
+        stepDistance: parseInt(field('stepDistance').val()) || 10,
+        dcIncrease: parseInt(field('dcIncrease').val()) || 0,
+        maxDistance: parseInt(field('maxDistance').val()) || 0,
+        skills: field('skills').val().split(',').map(id => id.trim()).filter(Boolean).join(','),
+        interceptAtThrower: field('interceptAtThrower').prop('checked'),
+        interceptAlongPath: field('interceptAlongPath').prop('checked'),
+        interceptAtReceiver: field('interceptAtReceiver').prop('checked')
+      };
+    }
+    return styles;
+  }
+
+  /**
+   * Pick a tile or region on the canvas into a zone input. The panel is minimized while picking.
+   */
+  async _pickZoneInto(input, color) {
+    await this.minimize();
+    const zoneDoc = await ChronoballZonePicker.pick(color);
+    await this.maximize();
+    if (!zoneDoc) return;
+
+    input.val(zoneDoc.uuid);
+    input.closest('.form-group').find('.zone-missing').remove();
+    input.siblings('button').prop('disabled', false);
+    ChronoballZonePicker.showOutline(zoneDoc, color);
+  }
+
+  /**
+   * Pick the endzone of a team on the canvas
+   */
+  async _onPickZone(event) {
+    event.preventDefault();
+    const team = event.currentTarget.dataset.team;
+    await this._pickZoneInto(
+      this.element.find(`input[name="zone${team}TileId"]`),
+      this.element.find(`input[name="team${team}Color"]`).val()
+    );
+  }
+  
+  /**
+   * Outline the endzone currently entered for a team
+   */
+  _onShowZone(event) {
+    event.preventDefault();
+    const team = event.currentTarget.dataset.team;
+    const zone = ChronoballState.getZone(this.element.find(`input[name="zone${team}TileId"]`).val());
+    if (!zone) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.ZonePicker.Missing'));
+      return;
+    }
+    ChronoballZonePicker.showOutline(zone, this.element.find(`input[name="team${team}Color"]`).val());
+  }
+  
+  async _onPickFieldZone(event) {
+    event.preventDefault();
+    await this._pickZoneInto(this.element.find('input[name="fieldZoneId"]'), this.constructor.FIELD_COLOR);
+  }
+
+  _onShowFieldZone(event) {
+    event.preventDefault();
+    const zone = ChronoballState.getZone(this.element.find('input[name="fieldZoneId"]').val());
+    if (!zone) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.ZonePicker.Missing'));
+      return;
+    }
+    ChronoballZonePicker.showOutline(zone, this.constructor.FIELD_COLOR);
+  }
+
+  /**
+   * Add a blank row to a list (scoring targets, distance tiers) from its template
+   */
+  _onAddListRow(event) {
+    event.preventDefault();
+    const list = event.currentTarget.dataset.list;
+    const template = this.element.find(`.${list}-template`)[0];
+    this.element.find(`.${list}`).append(template.content.cloneNode(true));
+    this.setPosition({ height: 'auto' });
+  }
+
+  _onRemoveListRow(event) {
+    event.preventDefault();
+    $(event.currentTarget).closest('.list-row').remove();
+    this.setPosition({ height: 'auto' });
+  }
+
+  /**
+   * Pick the zone of a scoring target, outlined in the colour of its defending team
+   */
+  async _onPickTargetZone(event) {
+    event.preventDefault();
+    const row = $(event.currentTarget).closest('.scoring-target');
+    const team = row.find('[data-field="team"]').val();
+    await this._pickZoneInto(row.find('[data-field="zoneId"]'), this.element.find(`input[name="team${team}Color"]`).val());
+  }
+
+  _onShowTargetZone(event) {
+    event.preventDefault();
+    const row = $(event.currentTarget).closest('.scoring-target');
+    const zone = ChronoballState.getZone(row.find('[data-field="zoneId"]').val());
+    if (!zone) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.ZonePicker.Missing'));
+      return;
+    }
+    const team = row.find('[data-field="team"]').val();
+    ChronoballZonePicker.showOutline(zone, this.element.find(`input[name="team${team}Color"]`).val());
+  }
+  
   async _onReset(event) {
     event.preventDefault();
     
@@ -144,4 +354,176 @@ export class ChronoballRulesPanel extends Application {
       this.render();
     }
   }
+  
+  _onSelectPreset(event) {
+    this.presetId = event.currentTarget.value || null;
+    this.render();
+  }
+  
+  /**
+   * Apply the selected preset to a scene picked in a dialog (current scene by default)
+   */
+  async _onApplyPreset(event) {
+    event.preventDefault();
+    const preset = ChronoballPresets.getPreset(this.presetId);
+    if (!preset) return;
+
+    const sceneOptions = game.scenes.contents
+      .map(scene => `<option value="${scene.id}" ${scene.id === canvas.scene?.id ? 'selected' : ''}>${scene.name}</option>`)
+      .join('');
+
+    new Dialog({
+      title: game.i18n.format('CHRONOBALL.Presets.ApplyTitle', { name: preset.name }),
+      content: `
+        <form>
+          <p>${game.i18n.localize('CHRONOBALL.Presets.ApplyHint')}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize('CHRONOBALL.Presets.Scene')}</label>
+            <select name="sceneId">${sceneOptions}</select>
+          </div>
+        </form>
+      `,
+      buttons: {
+        apply: {
+          icon: '<i class="fas fa-check"></i>',
+          label: game.i18n.localize('CHRONOBALL.Presets.Apply'),
+          callback: async (html) => {
+            const scene = game.scenes.get(html.find('select[name="sceneId"]').val());
+            if (!await ChronoballPresets.applyPreset(preset.id, scene)) return;
+            ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.PresetApplied', { name: preset.name, scene: scene.name }));
+            this.render();
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize('Cancel')
+        }
+      },
+      default: 'apply'
+    }).render(true);
+  }
+  
+  /**
+   * Show the rules where the selected preset differs from the current scene
+   */
+  _onDiffPreset(event) {
+    event.preventDefault();
+    const preset = ChronoballPresets.getPreset(this.presetId);
+    if (!preset) return;
+
+    const diff = ChronoballPresets.diffPreset(preset.id);
+    const rows = diff.map(row => `
+      <tr>
+        <td>${row.key}</td>
+        <td>${foundry.utils.escapeHTML(String(row.current))}</td>
+        <td>${foundry.utils.escapeHTML(String(row.preset))}</td>
+      </tr>
+    `).join('');
+
+    const content = diff.length === 0
+      ? `<p>${game.i18n.localize('CHRONOBALL.Presets.NoDifferences')}</p>`
+      : `
+        <table class="chronoball-stats-table">
+          <tr>
+            <th>${game.i18n.localize('CHRONOBALL.Presets.Rule')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Presets.SceneValue')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Presets.PresetValue')}</th>
+          </tr>
+          ${rows}
+        </table>
+      `;
+
+    new Dialog({
+      title: game.i18n.format('CHRONOBALL.Presets.CompareTitle', { name: preset.name }),
+      content,
+      buttons: {
+        ok: { label: game.i18n.localize('Close') }
+      },
+      default: 'ok'
+    }).render(true);
+  }
+  
+  /**
+   * Save the current scene rules under a new or existing preset name
+   */
+  async _onSavePreset(event) {
+    event.preventDefault();
+    const current = ChronoballPresets.getPreset(this.presetId);
+
+    const name = await Dialog.prompt({
+      title: game.i18n.localize('CHRONOBALL.Presets.SaveAs'),
+      content: `
+        <form>
+          <p>${game.i18n.localize('CHRONOBALL.Presets.SaveHint')}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize('CHRONOBALL.Presets.Name')}</label>
+            <input type="text" name="presetName" value="${current?.name ?? ''}" autofocus>
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize('CHRONOBALL.Presets.SaveAs'),
+      callback: (html) => html.find('input[name="presetName"]').val(),
+      rejectClose: false
+    });
+    if (!name?.trim()) return;
+
+    const preset = await ChronoballPresets.savePreset(name, ChronoballState.getRules());
+    if (!preset) return;
+
+    this.presetId = preset.id;
+    ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.PresetSaved', { name: preset.name }));
+    this.render();
+  }
+  
+  async _onDeletePreset(event) {
+    event.preventDefault();
+    const preset = ChronoballPresets.getPreset(this.presetId);
+    if (!preset) return;
+
+    const confirm = await Dialog.confirm({
+      title: game.i18n.localize('CHRONOBALL.Presets.Delete'),
+      content: `<p>${game.i18n.format('CHRONOBALL.Presets.DeleteConfirm', { name: preset.name })}</p>`
+    });
+    if (!confirm) return;
+
+    this.presetId = null;
+    await ChronoballPresets.deletePreset(preset.id);
+  }
+  
+  _onExportPresets(event) {
+    event.preventDefault();
+    ChronoballPresets.exportToJSON(this.presetId);
+  }
+  
+  async _onImportPresets(event) {
+    event.preventDefault();
+
+    new Dialog({
+      title: game.i18n.localize('CHRONOBALL.Presets.Import'),
+      content: `
+        <form>
+          <p>${game.i18n.localize('CHRONOBALL.Presets.ImportHint')}</p>
+          <div class="form-group">
+            <input type="file" name="presetFile" accept=".json">
+          </div>
+        </form>
+      `,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: game.i18n.localize('CHRONOBALL.Presets.Import'),
+          callback: async (html) => {
+            const file = html.find('input[name="presetFile"]')[0]?.files[0];
+            if (!file) return;
+            await ChronoballPresets.importFromJSON(file);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize('Cancel')
+        }
+      },
+      default: 'import'
+    }).render(true);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * ChronoballStandings - League standings and season history
+ */
+
+import { ChronoballLeague } from '../scripts/league.js';
+
+export class ChronoballStandings extends Application {
+  constructor(options = {}) {
+    super(options);
+    this.season = null;
+    this._leagueHook = Hooks.on('chronoball.leagueChanged', () => this.render());
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'chronoball-standings',
+      classes: ['chronoball-standings'],
+      title: game.i18n.localize('CHRONOBALL.Standings.Title'),
+      width: 650,
+      height: 'auto',
+      resizable: true,
+      template: 'modules/chronoball/templates/standings.html'
+    });
+  }
+
+  getData() {
+    const league = ChronoballLeague.getLeague();
+    const season = this.season ?? league.season;
+
+    return {
+      isGM: game.user.isGM,
+      season,
+      currentSeason: league.season,
+      seasons: ChronoballLeague.getSeasons(league).map(s => ({ value: s, selected: s === season })),
+      standings: ChronoballLeague.getStandings(season, league).map((row, index) => ({ ...row, rank: index + 1 })),
+      matches: ChronoballLeague.getMatchHistory(season, league)
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('select[name="season"]').change(this._onChangeSeason.bind(this));
+    html.find('.delete-match').click(this._onDeleteMatch.bind(this));
+    html.find('.new-season').click(this._onNewSeason.bind(this));
+    html.find('.export-league').click(this._onExport.bind(this));
+    html.find('.import-league').click(this._onImport.bind(this));
+  }
+
+  async close(options) {
+    Hooks.off('chronoball.leagueChanged', this._leagueHook);
+    return super.close(options);
+  }
+
+  _onChangeSeason(event) {
+    this.season = parseInt(event.currentTarget.value);
+    this.render();
+  }
+
+  async _onDeleteMatch(event) {
+    event.preventDefault();
+    const matchId = event.currentTarget.dataset.matchId;
+
+    const confirm = await Dialog.confirm({
+      title: game.i18n.localize('CHRONOBALL.Standings.DeleteMatch'),
+      content: `<p>${game.i18n.localize('CHRONOBALL.Standings.DeleteMatchConfirm')}</p>`
+    });
+    if (!confirm) return;
+
+    await ChronoballLeague.deleteMatch(matchId);
+  }
+
+  async _onNewSeason(event) {
+    event.preventDefault();
+
+    const confirm = await Dialog.confirm({
+      title: game.i18n.localize('CHRONOBALL.Standings.NewSeason'),
+      content: `<p>${game.i18n.localize('CHRONOBALL.Standings.NewSeasonConfirm')}</p>`
+    });
+    if (!confirm) return;
+
+    this.season = null;
+    await ChronoballLeague.startNewSeason();
+  }
+
+  _onExport(event) {
+    event.preventDefault();
+    ChronoballLeague.exportToJSON();
+  }
+
+  async _onImport(event) {
+    event.preventDefault();
+
+    new Dialog({
+      title: game.i18n.localize('CHRONOBALL.Standings.Import'),
+      content: `
+        <form>
+          <p>${game.i18n.localize('CHRONOBALL.Standings.ImportHint')}</p>
+          <div class="form-group">
+            <input type="file" name="leagueFile" accept=".json">
+          </div>
+        </form>
+      `,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: game.i18n.localize('CHRONOBALL.Standings.Import'),
+          callback: async (html) => {
+            const file = html.find('input[name="leagueFile"]')[0]?.files[0];
+            if (!file) return;
+            this.season = null;
+            await ChronoballLeague.importFromJSON(file);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize('Cancel')
+        }
+      },
+      default: 'import'
+    }).render(true);
+  }
+}
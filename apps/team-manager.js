@@ -0,0 +1,114 @@
+/**
+ * ChronoballTeamManager - Create and edit saved team identities
+ */
+
+import { ChronoballTeams } from '../scripts/teams.js';
+
+export class ChronoballTeamManager extends Application {
+  constructor(options = {}) {
+    super(options);
+    this._teamsHook = Hooks.on('chronoball.teamsChanged', () => this.render());
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'chronoball-team-manager',
+      classes: ['chronoball-team-manager'],
+      title: game.i18n.localize('CHRONOBALL.Teams.Title'),
+      width: 560,
+      height: 'auto',
+      resizable: true,
+      template: 'modules/chronoball/templates/team-manager.html'
+    });
+  }
+
+  getData() {
+    const identities = ChronoballTeams.getIdentityList().map(identity => ({
+      ...identity,
+      roster: identity.actorIds.map(id => game.actors.get(id)?.name).filter(Boolean).join(', ')
+    }));
+
+    return {
+      isGM: game.user.isGM,
+      identities
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.create-identity').click(this._onCreate.bind(this));
+    html.find('.save-identity').click(this._onSave.bind(this));
+    html.find('.delete-identity').click(this._onDelete.bind(this));
+    html.find('.set-identity-roster').click(this._onSetRoster.bind(this));
+    html.find('.pick-logo').click(this._onPickLogo.bind(this));
+  }
+
+  async close(options) {
+    Hooks.off('chronoball.teamsChanged', this._teamsHook);
+    return super.close(options);
+  }
+
+  /**
+   * Read the fields of one identity card
+   */
+  _getIdentityFormData(identityId) {
+    const card = this.element.find(`.identity-card[data-identity-id="${identityId}"]`);
+    return {
+      id: identityId,
+      name: card.find('[name="name"]').val(),
+      primaryColor: card.find('[name="primaryColor"]').val(),
+      secondaryColor: card.find('[name="secondaryColor"]').val(),
+      logo: card.find('[name="logo"]').val(),
+      chant: card.find('[name="chant"]').val()
+    };
+  }
+
+  async _onCreate(event) {
+    event.preventDefault();
+    await ChronoballTeams.saveIdentity({});
+  }
+
+  async _onSave(event) {
+    event.preventDefault();
+    const identityId = event.currentTarget.dataset.identityId;
+    await ChronoballTeams.saveIdentity(this._getIdentityFormData(identityId));
+    ui.notifications.info(game.i18n.localize('CHRONOBALL.Teams.Saved'));
+  }
+
+  async _onDelete(event) {
+    event.preventDefault();
+    const identityId = event.currentTarget.dataset.identityId;
+
+    const confirm = await Dialog.confirm({
+      title: game.i18n.localize('CHRONOBALL.Teams.Delete'),
+      content: `<p>${game.i18n.format('CHRONOBALL.Teams.DeleteConfirm', { name: ChronoballTeams.getIdentity(identityId)?.name })}</p>`
+    });
+    if (!confirm) return;
+
+    await ChronoballTeams.deleteIdentity(identityId);
+  }
+
+  async _onSetRoster(event) {
+    event.preventDefault();
+    const identityId = event.currentTarget.dataset.identityId;
+
+    const actorIds = [...new Set(canvas.tokens.controlled.map(t => t.actor?.id).filter(Boolean))];
+    if (actorIds.length === 0) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoToken'));
+      return;
+    }
+    await ChronoballTeams.saveIdentity({ ...this._getIdentityFormData(identityId), actorIds });
+  }
+
+  _onPickLogo(event) {
+    event.preventDefault();
+    const input = $(event.currentTarget).siblings('[name="logo"]');
+
+    new FilePicker({
+      type: 'image',
+      current: input.val(),
+      callback: (path) => input.val(path)
+    }).render(true);
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * ChronoballTournamentPanel - Create and follow a tournament bracket
+ */
+
+import { ChronoballTournament } from '../scripts/tournament.js';
+
+export class ChronoballTournamentPanel extends Application {
+  constructor(options = {}) {
+    super(options);
+    this._tournamentHook = Hooks.on('chronoball.tournamentChanged', () => this.render());
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'chronoball-tournament-panel',
+      classes: ['chronoball-tournament-panel'],
+      title: game.i18n.localize('CHRONOBALL.Tournament.Title'),
+      width: 700,
+      height: 'auto',
+      resizable: true,
+      template: 'modules/chronoball/templates/tournament-panel.html'
+    });
+  }
+
+  getData() {
+    const tournament = ChronoballTournament.getTournament();
+    const isGM = game.user.isGM;
+
+    if (!tournament) {
+      return {
+        isGM,
+        tournament: null,
+        formats: ChronoballTournament.FORMATS.map(id => ({ id, label: game.i18n.localize(`CHRONOBALL.Tournament.Formats.${id}`) })),
+        tieBreaks: ChronoballTournament.TIE_BREAKS.map(id => ({ id, label: game.i18n.localize(`CHRONOBALL.Tournament.TieBreaks.${id}`) })),
+        minTeams: ChronoballTournament.MIN_TEAMS,
+        maxTeams: ChronoballTournament.MAX_TEAMS
+      };
+    }
+
+    const teamName = (slot) => {
+      if (slot.bye) return game.i18n.localize('CHRONOBALL.Tournament.Bye');
+      if (!slot.teamId) return game.i18n.localize('CHRONOBALL.Tournament.TBD');
+      return ChronoballTournament.getTeam(tournament, slot.teamId)?.name ?? '?';
+    };
+
+    const next = ChronoballTournament.getNextFixture(tournament);
+
+    // Group fixtures by bracket and round
+    const brackets = [];
+    for (const fixture of tournament.fixtures) {
+      let bracket = brackets.find(b => b.id === fixture.bracket);
+      if (!bracket) {
+        bracket = { id: fixture.bracket, label: game.i18n.localize(`CHRONOBALL.Tournament.Brackets.${fixture.bracket}`), rounds: [] };
+        brackets.push(bracket);
+      }
+      let round = bracket.rounds.find(r => r.number === fixture.round);
+      if (!round) {
+        round = { number: fixture.round, fixtures: [] };
+        bracket.rounds.push(round);
+      }
+      round.fixtures.push({
+        id: fixture.id,
+        teamA: teamName(fixture.slots[0]),
+        teamB: teamName(fixture.slots[1]),
+        winnerA: !!fixture.winner && fixture.winner === fixture.slots[0].teamId,
+        winnerB: !!fixture.winner && fixture.winner === fixture.slots[1].teamId,
+        scores: fixture.scores,
+        bye: fixture.bye,
+        status: fixture.status,
+        statusLabel: game.i18n.localize(`CHRONOBALL.Tournament.Status.${fixture.status}`),
+        isNext: fixture.id === next?.id
+      });
+    }
+
+    const teams = tournament.teams.map(team => ({
+      ...team,
+      roster: team.actorIds.map(id => game.actors.get(id)?.name).filter(Boolean).join(', ')
+    }));
+
+    return {
+      isGM,
+      tournament,
+      formatLabel: game.i18n.localize(`CHRONOBALL.Tournament.Formats.${tournament.format}`),
+      champion: tournament.championId ? ChronoballTournament.getTeam(tournament, tournament.championId)?.name : null,
+      brackets,
+      teams,
+      standings: tournament.format === 'roundRobin' ? ChronoballTournament.getRoundRobinStandings(tournament) : null
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.create-tournament').click(this._onCreate.bind(this));
+    html.find('.delete-tournament').click(this._onDelete.bind(this));
+    html.find('.set-roster').click(this._onSetRoster.bind(this));
+  }
+
+  async close(options) {
+    Hooks.off('chronoball.tournamentChanged', this._tournamentHook);
+    return super.close(options);
+  }
+
+  async _onCreate(event) {
+    event.preventDefault();
+    const form = this.element.find('form')[0];
+    const formData = new FormDataExtended(form).object;
+
+    await ChronoballTournament.create({
+      name: formData.name,
+      format: formData.format,
+      tieBreak: formData.tieBreak,
+      teamNames: (formData.teamNames || '').split('\n')
+    });
+  }
+
+  async _onDelete(event) {
+    event.preventDefault();
+
+    const confirm = await Dialog.confirm({
+      title: game.i18n.localize('CHRONOBALL.Tournament.Delete'),
+      content: `<p>${game.i18n.localize('CHRONOBALL.Tournament.DeleteConfirm')}</p>`
+    });
+    if (!confirm) return;
+
+    await ChronoballTournament.delete();
+  }
+
+  async _onSetRoster(event) {
+    event.preventDefault();
+    const teamId = event.currentTarget.dataset.teamId;
+
+    const actorIds = canvas.tokens.controlled.map(t => t.actor?.id).filter(Boolean);
+    if (actorIds.length === 0) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoToken'));
+      return;
+    }
+
+    await ChronoballTournament.setTeamRoster(teamId, actorIds);
+  }
+}
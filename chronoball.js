@@ -14,6 +14,20 @@ import { ChronoballPlayerPanel } from './apps/player-panel.js';
 import { ChronoballRulesPanel } from './apps/rules-panel.js';
 import { ChronoballFumble } from './scripts/fumble.js';
 import { ChronoballUtils } from './scripts/utils.js';
+import { ChronoballMatchLog } from './scripts/match-log.js';
+import { ChronoballMatch } from './scripts/match.js';
+import { ChronoballStats } from './scripts/stats.js';
+import { ChronoballLeague } from './scripts/league.js';
+import { ChronoballStandings } from './apps/standings.js';
+import { ChronoballTournament } from './scripts/tournament.js';
+import { ChronoballTournamentPanel } from './apps/tournament-panel.js';
+import { ChronoballTeams } from './scripts/teams.js';
+import { ChronoballTeamManager } from './apps/team-manager.js';
+import { ChronoballSystem } from './scripts/system.js';
+import { ChronoballPresets } from './scripts/presets.js';
+import { ChronoballEndzoneBehavior } from './scripts/endzone-behavior.js';
+import { ChronoballFlight } from './scripts/flight.js';
+import { ChronoballScatter } from './scripts/scatter.js';
 
 class Chronoball {
   static ID = 'chronoball';
@@ -47,6 +61,7 @@ class Chronoball {
     console.log('Chronoball | Initializing module');
     
     // Initialize subsystems
+    ChronoballSystem.initialize();
     ChronoballSocket.initialize();
     ChronoballState.initialize();
     ChronoballBall.initialize();
@@ -55,6 +70,16 @@ class Chronoball {
     ChronoballRoster.initialize();
     ChronoballHUD.initialize();
     ChronoballFumble.initialize();
+    ChronoballMatchLog.initialize();
+    ChronoballStats.initialize();
+    ChronoballMatch.initialize();
+    ChronoballLeague.initialize();
+    ChronoballTournament.initialize();
+    ChronoballTeams.initialize();
+    ChronoballPresets.initialize();
+    ChronoballFlight.initialize();
+    ChronoballScatter.initialize();
+    ChronoballEndzoneBehavior.register();
     
     // Register settings
     this.registerSettings();
@@ -131,6 +156,18 @@ class Chronoball {
       type: String,
       default: ''
     });
+
+    // Hidden setting to store the league (teams, results, seasons)
+    ChronoballLeague.registerSettings();
+
+    // Hidden setting to store the running tournament
+    ChronoballTournament.registerSettings();
+
+    // Hidden setting to store the saved team identities
+    ChronoballTeams.registerSettings();
+
+    // Hidden setting to store the rule presets
+    ChronoballPresets.registerSettings();
   }
   
   static registerMenus() {
@@ -185,13 +222,52 @@ class Chronoball {
           </div>
         `);
         
+        // Standings Button
+        const standingsButton = $(`
+          <div class="form-group">
+            <label>League Standings</label>
+            <button type="button" class="chronoball-open-standings">
+              <i class="fas fa-trophy"></i> Open Standings
+            </button>
+            <p class="notes">Browse league standings and match history, and export or import the league</p>
+          </div>
+        `);
+        
+        // Tournament Button
+        const tournamentButton = $(`
+          <div class="form-group">
+            <label>Tournament</label>
+            <button type="button" class="chronoball-open-tournament">
+              <i class="fas fa-sitemap"></i> Open Tournament
+            </button>
+            <p class="notes">Run a single elimination, double elimination or round robin tournament</p>
+          </div>
+        `);
+        
+        // Team Identities Button
+        const teamsButton = $(`
+          <div class="form-group">
+            <label>Team Identities</label>
+            <button type="button" class="chronoball-open-teams">
+              <i class="fas fa-flag"></i> Open Teams
+            </button>
+            <p class="notes">Save teams with colours, logo, default roster and chant, and pick them for a match in the Player Panel</p>
+          </div>
+        `);
+        
         // Insert buttons before the Primary GM setting
         const primaryGMGroup = primaryGMSelect.closest('.form-group');
         if (primaryGMGroup.length > 0) {
           primaryGMGroup.before(rulesPanelButton);
           primaryGMGroup.before(playerPanelButton);
+          primaryGMGroup.before(standingsButton);
+          primaryGMGroup.before(tournamentButton);
+          primaryGMGroup.before(teamsButton);
         } else {
           // Fallback: prepend to section
+          chronoballSection.prepend(teamsButton);
+          chronoballSection.prepend(tournamentButton);
+          chronoballSection.prepend(standingsButton);
           chronoballSection.prepend(rulesPanelButton);
           chronoballSection.prepend(playerPanelButton);
         }
@@ -207,6 +283,24 @@ class Chronoball {
           ev.preventDefault();
           new ChronoballRulesPanel().render(true);
         });
+        
+        // Standings button handler
+        html.find('.chronoball-open-standings').click((ev) => {
+          ev.preventDefault();
+          new ChronoballStandings().render(true);
+        });
+        
+        // Tournament button handler
+        html.find('.chronoball-open-tournament').click((ev) => {
+          ev.preventDefault();
+          new ChronoballTournamentPanel().render(true);
+        });
+        
+        // Team identities button handler
+        html.find('.chronoball-open-teams').click((ev) => {
+          ev.preventDefault();
+          new ChronoballTeamManager().render(true);
+        });
       }
     });
   }
@@ -231,7 +325,8 @@ class Chronoball {
     // Combat hooks
     Hooks.on('updateCombat', (combat, changed, options, userId) => {
       if (changed.round !== undefined && ChronoballSocket.isPrimaryGM()) {
-        ChronoballState.updateState({ carrierDamageInRound: 0 });
+        ChronoballState.updateState({ carrierDamageInRound: 0 })
+          .then(() => ChronoballMatch.checkWinConditions());
         ChronoballUtils.log('Chronoball | New round, carrier damage reset.');
       }
       if (changed.turn !== undefined || changed.round !== undefined) {
@@ -271,6 +366,10 @@ class Chronoball {
         const state = ChronoballState.getMatchState();
         const isCarrier = state.carrierId === tokenDoc.id;
 
+        // Regions with the endzone behavior report entering tokens themselves
+        const targets = ChronoballState.getScoringTargets(state.attackingTeam, undefined, state);
+        const regionScoring = targets.length > 0 && targets.every(target => ChronoballState.hasZoneBehavior(target.zoneId));
+
         if (isCarrier) {
           // Use Foundry's official grid measurement for accuracy
           const origin = {x: oldX, y: oldY};
@@ -281,11 +380,11 @@ class Chronoball {
           if (feetDistance > 0) {
             ChronoballState.checkAndDeductCarrierMovement(tokenDoc, oldX, oldY, newX, newY, feetDistance);
           }
-          ChronoballScoring.checkRunInScore(tokenDoc, newX, newY);
+          if (!regionScoring) ChronoballScoring.checkRunInScore(tokenDoc, newX, newY);
         }
 
         const isBall = state.ballTokenId === tokenDoc.id;
-        if (isBall && !isCarrier) {
+        if (isBall && !isCarrier && !regionScoring) {
           // Don't trigger scoring if a throw is in progress (animation running)
           if (!state.throwInProgress) {
             ChronoballScoring.checkThrowScore(tokenDoc, newX, newY);
@@ -298,6 +397,10 @@ class Chronoball {
       // HUD automatically updates via chronoball.stateChanged hook, no manual render needed
     });
     
+    // Roster management from the token HUD and the combat tracker
+    Hooks.on('renderTokenHUD', (hud, html) => ChronoballPlayerPanel.onRenderTokenHUD(hud, html));
+    Hooks.on('renderCombatTracker', (app, html) => ChronoballPlayerPanel.onRenderCombatTracker(app, html));
+    
     // Delete token hook
     Hooks.on('deleteToken', (tokenDoc, options, userId) => {
       const state = ChronoballState.getMatchState();
@@ -310,19 +413,13 @@ class Chronoball {
     // Actor pre-update hook for damage detection
     Hooks.on('preUpdateActor', (actor, changes, options, userId) => {
       if (!ChronoballSocket.isPrimaryGM()) return;
-      const flatChanges = foundry.utils.flattenObject(changes);
-      const hpChanged = Object.keys(flatChanges).some(k => k.startsWith('system.attributes.hp'));
-      if (!hpChanged) return;
       const state = ChronoballState.getMatchState();
       if (!state.carrierId) return;
       const carrierToken = canvas.tokens.get(state.carrierId);
-      if (!carrierToken || actor.id !== carrierToken.actor.id) return;
-      const oldHP = actor.system.attributes.hp;
-      const oldTotalHP = (oldHP.value || 0) + (oldHP.temp || 0);
-      const newHPValue = foundry.utils.getProperty(changes, 'system.attributes.hp.value') ?? oldHP.value;
-      const newHPTemp = foundry.utils.getProperty(changes, 'system.attributes.hp.temp') ?? oldHP.temp;
-      const newTotalHP = (newHPValue || 0) + (newHPTemp || 0);
-      const damageTaken = oldTotalHP - newTotalHP;
+      // Compare by UUID: unlinked tokens of one statblock share the actor ID
+      if (!carrierToken || actor.uuid !== carrierToken.actor?.uuid) return;
+      // The system adapter knows where the system keeps HP
+      const damageTaken = ChronoballSystem.adapter.getDamageFromUpdate(actor, changes);
       if (damageTaken > 0) {
         ChronoballUtils.log(`Chronoball | Carrier ${actor.name} is about to take ${damageTaken} damage. Handling fumble check.`);
         ChronoballFumble.handleDamage(actor, damageTaken);
@@ -397,6 +494,22 @@ class Chronoball {
     return ChronoballBall.clearCarrier();
   }
   
+  static async undoLastPlay() {
+    return ChronoballMatchLog.undoLastPlay();
+  }
+  
+  static getMatchLog() {
+    return ChronoballMatchLog.getEntries();
+  }
+  
+  static getPlayerStats() {
+    return ChronoballStats.getBoxScore();
+  }
+  
+  static async endMatch() {
+    return ChronoballMatch.endMatch();
+  }
+  
   static openPlayerPanel() {
     new ChronoballPlayerPanel().render(true);
   }
@@ -405,6 +518,38 @@ class Chronoball {
     new ChronoballRulesPanel().render(true);
   }
   
+  static openStandings() {
+    new ChronoballStandings().render(true);
+  }
+  
+  static getLeague() {
+    return ChronoballLeague.getLeague();
+  }
+  
+  static openTournament() {
+    new ChronoballTournamentPanel().render(true);
+  }
+  
+  static getTournament() {
+    return ChronoballTournament.getTournament();
+  }
+  
+  static openTeamManager() {
+    new ChronoballTeamManager().render(true);
+  }
+  
+  static getTeamIdentities() {
+    return ChronoballTeams.getIdentityList();
+  }
+  
+  static getRulePresets() {
+    return ChronoballPresets.getPresetList();
+  }
+  
+  static async applyRulePreset(presetId, scene = canvas.scene) {
+    return ChronoballPresets.applyPreset(presetId, scene);
+  }
+  
   /**
    * Check if commentary is enabled for current user
    */
@@ -8,6 +8,11 @@ import { ChronoballInterception } from './interception.js';
 import { ChronoballChat } from './chat.js';
 import { ChronoballUtils } from './utils.js';
 import { ChronoballScoring } from './scoring.js';
+import { ChronoballMatchLog } from './match-log.js';
+import { ChronoballStats } from './stats.js';
+import { ChronoballSystem } from './system.js';
+import { ChronoballFlight } from './flight.js';
+import { ChronoballScatter } from './scatter.js';
 
 export class ChronoballBall {
   static initialize() {
@@ -31,13 +36,18 @@ export class ChronoballBall {
     }
     
     const state = ChronoballState.getMatchState();
+    if (state.halftime) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.Halftime'));
+      return;
+    }
+    
     if (state.carrierId !== controlled.id) {
       ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NotCarrier'));
       return;
     }
     
     // Get target location FIRST
-    const target = await this.getTargetLocation();
+    const target = await this.getTargetLocation(controlled.center);
     if (!target) return;
     
     const distance = ChronoballUtils.calculateDistance(controlled, target);
@@ -50,18 +60,23 @@ export class ChronoballBall {
       return;
     }
     
+    // Choose throw style and skill
+    const choice = await this.chooseSkill(distance, rules);
+    if (!choice) return;
+    const { style, skill } = choice;
+    if (!this.checkStyleRange(style, distance)) return;
+    
     // Check for interception at thrower AFTER target selection
-    const interceptedAtThrower = await ChronoballInterception.checkInterceptionAtThrower(controlled);
+    const interceptedAtThrower = await ChronoballInterception.checkInterceptionAtThrower(controlled, style);
     if (interceptedAtThrower) {
       return; // Interception successful, stop throw
     }
+    if (await ChronoballInterception.checkInterceptionAlongPath(controlled, target, style)) {
+      return; // Intercepted in flight, stop throw
+    }
     
-    // Calculate DC
-    const dc = this.calculateDC(distance, rules);
-    
-    // Choose skill
-    const skill = await this.chooseSkill();
-    if (!skill) return;
+    // Calculate DC from the style's ladder
+    const dc = this.calculateDC(distance, style);
     
     // Roll
     const rollResult = await this.performRoll(controlled.actor, skill, dc);
@@ -76,7 +91,9 @@ export class ChronoballBall {
       distance,
       dc,
       rollTotal: rollResult.roll.total,
-      success: rollResult.success
+      success: rollResult.success,
+      degree: rollResult.degree,
+      style: style.id
     });
   }
   
@@ -96,6 +113,11 @@ export class ChronoballBall {
     }
     
     const state = ChronoballState.getMatchState();
+    if (state.halftime) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.Halftime'));
+      return;
+    }
+    
     if (state.carrierId !== controlled.id) {
       ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NotCarrier'));
       return;
@@ -125,6 +147,8 @@ export class ChronoballBall {
       return;
     }
     
+    ChronoballFlight.warnIfBlocked(controlled.center, targetToken.center);
+    
     const distance = ChronoballUtils.calculateDistance(controlled, targetToken);
     const rules = ChronoballState.getRules();
     const limits = ChronoballState.getMovementLimits();
@@ -135,18 +159,23 @@ export class ChronoballBall {
       return;
     }
     
+    // Choose throw style and skill
+    const choice = await this.chooseSkill(distance, rules);
+    if (!choice) return;
+    const { style, skill } = choice;
+    if (!this.checkStyleRange(style, distance)) return;
+    
     // Check for interception at thrower AFTER target selection
-    const interceptedAtThrower = await ChronoballInterception.checkInterceptionAtThrower(controlled);
+    const interceptedAtThrower = await ChronoballInterception.checkInterceptionAtThrower(controlled, style);
     if (interceptedAtThrower) {
       return; // Interception successful, stop pass
     }
+    if (await ChronoballInterception.checkInterceptionAlongPath(controlled, targetToken.center, style, targetToken)) {
+      return; // Intercepted in flight, stop pass
+    }
     
-    // Calculate DC
-    const dc = this.calculateDC(distance, rules);
-    
-    // Choose skill
-    const skill = await this.chooseSkill();
-    if (!skill) return;
+    // Calculate DC from the style's ladder
+    const dc = this.calculateDC(distance, style);
     
     // Roll
     const rollResult = await this.performRoll(controlled.actor, skill, dc);
@@ -160,7 +189,9 @@ export class ChronoballBall {
       distance,
       dc,
       rollTotal: rollResult.roll.total,
-      success: rollResult.success
+      success: rollResult.success,
+      degree: rollResult.degree,
+      style: style.id
     });
   }
   
@@ -179,6 +210,11 @@ export class ChronoballBall {
       return;
     }
     
+    if (ChronoballState.getMatchState().halftime) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.Halftime'));
+      return;
+    }
+    
     const ballToken = ChronoballState.getBallToken();
     if (!ballToken) {
       ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoBall'));
@@ -267,301 +303,458 @@ export class ChronoballBall {
   
   // Authoritative execution methods (called by socket)
   
-  static async executeThrow(tokenId, targetX, targetY, skill, distance, dc, rollTotal, success) {
+  static async executeThrow(tokenId, targetX, targetY, skill, distance, dc, rollTotal, success, degree = null, style = 'standard') {
     const token = canvas.tokens.get(tokenId);
     if (!token) return;
 
-    const rules = ChronoballState.getRules();
+    if (await this.handleCriticalFailure(token, degree)) return;
 
-    // Get or create ball token at carrier position
-    let ballToken = ChronoballState.getBallToken();
+    const rules = ChronoballState.getRules();
+    const play = ChronoballMatchLog.beginPlay('throw', [tokenId]);
+    try {
+      // Get or create ball token at carrier position
+      let ballToken = ChronoballState.getBallToken();
 
-    // If ball doesn't exist (was deleted when picked up), create it temporarily at carrier
-    if (!ballToken) {
-      await this.recreateBallToken(token.x, token.y);
-      ballToken = ChronoballState.getBallToken();
-    }
+      // If ball doesn't exist (was deleted when picked up), create it temporarily at carrier
+      if (!ballToken) {
+        await this.recreateBallToken(token.x, token.y);
+        ballToken = ChronoballState.getBallToken();
+      }
 
-    if (!ballToken) {
-      console.error('Chronoball | Could not create ball token for throw');
-      return;
-    }
+      if (!ballToken) {
+        console.error('Chronoball | Could not create ball token for throw');
+        await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, skill, style, dc, roll: rollTotal, distance, success: false });
+        return;
+      }
 
-    // Adjust for token center
-    const gridSize = canvas.grid.size;
-    const adjustedX = targetX - (gridSize / 2);
-    const adjustedY = targetY - (gridSize / 2);
+      // Adjust for token center
+      const gridSize = canvas.grid.size;
+      const adjustedX = targetX - (gridSize / 2);
+      const adjustedY = targetY - (gridSize / 2);
 
-    if (success) {
-      // Throw was successful - ball reaches target
-      ChronoballUtils.log(`Chronoball | Successful throw: ${distance}ft to (${adjustedX}, ${adjustedY})`);
+      if (success) {
+        // Throw was successful - ball flies to the target unless a wall is in the way
+        const path = ChronoballFlight.resolvePath(token.center, { x: targetX, y: targetY }, rules);
+        let landingX = path.x - (gridSize / 2);
+        let landingY = path.y - (gridSize / 2);
+        const landedDistance = path.wallHit ? ChronoballUtils.calculateDistance(token, path) : distance;
+        ChronoballUtils.log(`Chronoball | Successful throw: ${distance}ft to (${adjustedX}, ${adjustedY})${path.wallHit ? `, ${path.wallHit} by a wall at ${landedDistance}ft` : ''}`);
 
-      // IMPORTANT: Clear carrier FIRST, before animation, to ensure effects are removed
-      await this.executeClearCarrier();
+        // IMPORTANT: Clear carrier FIRST, before animation, to ensure effects are removed
+        await this.executeClearCarrier();
 
-      // Set flag to prevent updateToken hook from triggering scoring during animation
-      await ChronoballState.updateState({ throwInProgress: true });
-      ChronoballUtils.log('Chronoball | throwInProgress flag set to TRUE');
+        // Set flag to prevent updateToken hook from triggering scoring during animation
+        await ChronoballState.updateState({ throwInProgress: true });
+        ChronoballUtils.log('Chronoball | throwInProgress flag set to TRUE');
 
-      // Deduct from remaining throw distance
-      await ChronoballState.deductThrowDistance(distance);
+        // Deduct from remaining throw distance
+        await ChronoballState.deductThrowDistance(this.getThrowDistanceCost(token, distance, degree, rules));
+        await ChronoballStats.record(tokenId, { throwFeet: distance });
 
-      // Animate ball flying with Sequencer
-      if (game.modules.get('sequencer')?.active && ballToken) {
-        ChronoballUtils.log('Chronoball | Starting Sequencer animation...');
+        // Animate ball flying with Sequencer
+        if (game.modules.get('sequencer')?.active && ballToken) {
+          ChronoballUtils.log('Chronoball | Starting Sequencer animation...');
 
-        const sequence = new Sequence()
-          .animation()
-          .on(ballToken)
-          .moveTowards({ x: adjustedX, y: adjustedY }, { ease: "easeOutCubic" })
-          .duration(1500)
-          .waitUntilFinished(-1);
+          await this.getFlightSequence(ballToken, path, gridSize).play();
+          ChronoballUtils.log('Chronoball | Sequencer animation completed');
 
-        await sequence.play();
-        ChronoballUtils.log('Chronoball | Sequencer animation completed');
+          await ballToken.document.update({ x: landingX, y: landingY }, { chronoball_internal: true });
+          ChronoballUtils.log('Chronoball | Ball position updated to target');
+        } else {
+          // Fallback: Move ball instantly if Sequencer not available
+          ChronoballUtils.log('Chronoball | Sequencer not active, moving ball instantly');
+          if (ballToken) {
+            await ballToken.document.update({ x: landingX, y: landingY }, { chronoball_internal: true });
+          }
+        }
 
-        await ballToken.document.update({ x: adjustedX, y: adjustedY }, { chronoball_internal: true });
-        ChronoballUtils.log('Chronoball | Ball position updated to target');
-      } else {
-        // Fallback: Move ball instantly if Sequencer not available
-        ChronoballUtils.log('Chronoball | Sequencer not active, moving ball instantly');
-        if (ballToken) {
-          await ballToken.document.update({ x: adjustedX, y: adjustedY }, { chronoball_internal: true });
+        // The ball may bounce and roll on from where it came down
+        const bounce = await ChronoballFlight.resolveBounce(path.collision ?? token.center, path, rules);
+        if (bounce) {
+          await this.moveBallAlong(ballToken, bounce.path, gridSize);
+          landingX = bounce.path.x - (gridSize / 2);
+          landingY = bounce.path.y - (gridSize / 2);
         }
-      }
 
-      // Let the ball sit at the target for a moment (500ms) before scoring
-      ChronoballUtils.log('Chronoball | Ball at target, waiting 500ms before scoring check...');
-      await new Promise(resolve => setTimeout(resolve, 500));
+        // Let the ball sit at the target for a moment (500ms) before scoring
+        ChronoballUtils.log('Chronoball | Ball at target, waiting 500ms before scoring check...');
+        await new Promise(resolve => setTimeout(resolve, 500));
 
-      // Clear the flag BEFORE scoring check
-      await ChronoballState.updateState({ throwInProgress: false });
-      ChronoballUtils.log('Chronoball | throwInProgress flag set to FALSE');
+        // Clear the flag BEFORE scoring check
+        await ChronoballState.updateState({ throwInProgress: false });
+        ChronoballUtils.log('Chronoball | throwInProgress flag set to FALSE');
 
-      // Check for scoring (ball landed in endzone) AFTER animation and delay
-      await ChronoballScoring.checkThrowScore(ballToken.document, targetX, targetY);
+        // Check for scoring (ball landed in endzone) AFTER animation and delay
+        const scored = await ChronoballScoring.checkThrowScore(ballToken.document, landingX, landingY, tokenId, landedDistance);
 
-      // Create chat message
-      await this.createThrowChatMessage(token, distance, distance, dc, rollTotal, true);
+        // Create chat message
+        await this.createThrowChatMessage(token, distance, landedDistance, dc, rollTotal, true, path.wallHit, bounce, style);
+        if (!scored) await this.checkOutOfBounds(tokenId);
 
-      ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.BallThrownSuccess', { distance: Math.round(distance) }));
+        await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, skill, style, dc, roll: rollTotal, distance: landedDistance, targetDistance: distance, wallHit: path.wallHit, bounce: bounce?.distance ?? 0, success: true });
 
-    } else {
-      // Failed throw - ball falls short
-      const achievedDistance = this.calculateAchievedDistance(rollTotal, distance, rules);
+        if (path.wallHit) {
+          ui.notifications.warn(game.i18n.format('CHRONOBALL.Notifications.ThrowHitWall', { distance: Math.round(landedDistance) }));
+        } else {
+          ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.BallThrownSuccess', { distance: Math.round(distance) }));
+        }
 
-      // Adjust for token center before calculating path
-      const adjustedTargetX = targetX - (gridSize / 2);
-      const adjustedTargetY = targetY - (gridSize / 2);
+      } else {
+        // Failed throw - ball falls short
+        // The miss is measured on the ladder of the style the DC came from
+        const achievedDistance = this.calculateAchievedDistance(rollTotal, distance, { ...rules, ...ChronoballState.getThrowStyle(style, rules) });
 
-      // Calculate position along the path to the adjusted target
-      const ratio = distance > 0 ? achievedDistance / distance : 0;
-      const actualX = Math.round(token.x + (adjustedTargetX - token.x) * ratio);
-      const actualY = Math.round(token.y + (adjustedTargetY - token.y) * ratio);
+        // Adjust for token center before calculating path
+        const adjustedTargetX = targetX - (gridSize / 2);
+        const adjustedTargetY = targetY - (gridSize / 2);
 
-      ChronoballUtils.log(`Chronoball | Failed throw: Intended ${distance}ft, achieved ${achievedDistance}ft (${Math.round(ratio * 100)}%)`);
+        // Calculate position along the path to the adjusted target
+        const ratio = distance > 0 ? achievedDistance / distance : 0;
+        const shortX = token.x + (adjustedTargetX - token.x) * ratio;
+        const shortY = token.y + (adjustedTargetY - token.y) * ratio;
+        const shortPoint = { x: shortX + (gridSize / 2), y: shortY + (gridSize / 2) };
 
-      // IMPORTANT: Clear carrier FIRST, before animation
-      await this.executeClearCarrier();
+        // The flight is stopped at walls, then the miss may scatter from where it came down
+        const flight = ChronoballFlight.resolvePath(token.center, shortPoint, rules);
+        const scatter = await ChronoballScatter.roll(rules.throwScatterFormula);
+        const scatterPath = scatter ? ChronoballFlight.resolvePath(flight, ChronoballScatter.getScatterPoint(flight, scatter), rules) : null;
+        const path = scatterPath ?? flight;
+        const wallHit = flight.wallHit ?? scatterPath?.wallHit ?? null;
+        let actualX = Math.round(path.x - (gridSize / 2));
+        let actualY = Math.round(path.y - (gridSize / 2));
 
-      // Set flag to prevent updateToken hook from triggering scoring during animation
-      await ChronoballState.updateState({ throwInProgress: true });
-      ChronoballUtils.log('Chronoball | throwInProgress flag set to TRUE (partial throw)');
+        ChronoballUtils.log(`Chronoball | Failed throw: Intended ${distance}ft, achieved ${achievedDistance}ft (${Math.round(ratio * 100)}%)`);
 
-      // Deduct only the actual distance
-      await ChronoballState.deductThrowDistance(achievedDistance);
+        // IMPORTANT: Clear carrier FIRST, before animation
+        await this.executeClearCarrier();
 
-      // Animate ball flying with Sequencer to partial distance
-      if (game.modules.get('sequencer')?.active && ballToken) {
-        ChronoballUtils.log('Chronoball | Starting Sequencer animation (partial throw)...');
+        // Set flag to prevent updateToken hook from triggering scoring during animation
+        await ChronoballState.updateState({ throwInProgress: true });
+        ChronoballUtils.log('Chronoball | throwInProgress flag set to TRUE (partial throw)');
 
-        const sequence = new Sequence()
-          .animation()
-          .on(ballToken)
-          .moveTowards({ x: actualX, y: actualY }, { ease: "easeOutCubic" })
-          .duration(1500)
-          .waitUntilFinished(-1);
+        // Deduct only the actual distance
+        await ChronoballState.deductThrowDistance(achievedDistance);
+        await ChronoballStats.record(tokenId, { throwFeet: achievedDistance });
 
-        await sequence.play();
-        ChronoballUtils.log('Chronoball | Sequencer animation completed');
+        if (scatter) await ChronoballScatter.announce(scatter, flight, path, 'throw');
 
-        await ballToken.document.update({ x: actualX, y: actualY }, { chronoball_internal: true });
-      } else {
-        // Fallback: Move ball instantly
-        if (ballToken) {
-          await ballToken.document.update({ x: actualX, y: actualY }, { chronoball_internal: true });
+        // Animate ball flying with Sequencer to partial distance
+        if (game.modules.get('sequencer')?.active && ballToken) {
+          ChronoballUtils.log('Chronoball | Starting Sequencer animation (partial throw)...');
+
+          await this.getFlightSequence(ballToken, flight, gridSize).play();
+          ChronoballUtils.log('Chronoball | Sequencer animation completed');
+
+          await ballToken.document.update({ x: Math.round(flight.x - (gridSize / 2)), y: Math.round(flight.y - (gridSize / 2)) }, { chronoball_internal: true });
+        } else {
+          // Fallback: Move ball instantly
+          if (ballToken) {
+            await ballToken.document.update({ x: Math.round(flight.x - (gridSize / 2)), y: Math.round(flight.y - (gridSize / 2)) }, { chronoball_internal: true });
+          }
+        }
+        if (scatterPath) await this.moveBallAlong(ballToken, scatterPath, gridSize);
+
+        // The ball may bounce and roll on from where it came down
+        const bounceFrom = scatterPath ? (scatterPath.collision ?? flight) : (flight.collision ?? token.center);
+        const bounce = await ChronoballFlight.resolveBounce(bounceFrom, path, rules);
+        if (bounce) {
+          await this.moveBallAlong(ballToken, bounce.path, gridSize);
+          actualX = Math.round(bounce.path.x - (gridSize / 2));
+          actualY = Math.round(bounce.path.y - (gridSize / 2));
         }
-      }
 
-      // Let the ball sit for a moment before scoring check
-      await new Promise(resolve => setTimeout(resolve, 500));
+        // Let the ball sit for a moment before scoring check
+        await new Promise(resolve => setTimeout(resolve, 500));
 
-      // Clear the flag BEFORE scoring check
-      await ChronoballState.updateState({ throwInProgress: false });
-      ChronoballUtils.log('Chronoball | throwInProgress flag set to FALSE');
+        // Clear the flag BEFORE scoring check
+        await ChronoballState.updateState({ throwInProgress: false });
+        ChronoballUtils.log('Chronoball | throwInProgress flag set to FALSE');
 
-      // Check for scoring even on failed throw (might still land in endzone)
-      await ChronoballScoring.checkThrowScore(ballToken.document, actualX, actualY);
+        // Check for scoring even on failed throw (might still land in endzone)
+        const scored = await ChronoballScoring.checkThrowScore(ballToken.document, actualX, actualY, tokenId);
 
-      // Create chat message
-      await this.createThrowChatMessage(token, distance, achievedDistance, dc, rollTotal, false);
+        // Create chat message
+        const landedDistance = (wallHit || scatter) ? ChronoballUtils.calculateDistance(token, path) : achievedDistance;
+        await this.createThrowChatMessage(token, distance, landedDistance, dc, rollTotal, false, wallHit, bounce, style);
+        if (!scored) await this.checkOutOfBounds(tokenId);
+
+        await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, skill, style, dc, roll: rollTotal, distance: landedDistance, targetDistance: distance, wallHit, scatter: scatter?.distance ?? 0, bounce: bounce?.distance ?? 0, success: false });
 
-      ui.notifications.warn(game.i18n.format('CHRONOBALL.Notifications.ThrowFellShort', { achieved: Math.round(achievedDistance), distance: Math.round(distance) }));
+        ui.notifications.warn(game.i18n.format('CHRONOBALL.Notifications.ThrowFellShort', { achieved: Math.round(achievedDistance), distance: Math.round(distance) }));
+      }
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, aborted: true });
+      throw error;
     }
   }
   
-  static async executePass(tokenId, targetTokenId, skill, distance, dc, rollTotal, success) {
+  static async executePass(tokenId, targetTokenId, skill, distance, dc, rollTotal, success, degree = null, style = 'standard') {
     const token = canvas.tokens.get(tokenId);
     const targetToken = canvas.tokens.get(targetTokenId);
     if (!token || !targetToken) return;
     
+    if (await this.handleCriticalFailure(token, degree)) return;
+    
     const rules = ChronoballState.getRules();
+    const play = ChronoballMatchLog.beginPlay('pass', [tokenId, targetTokenId]);
+    try {
+      const passDetails = { actorName: token.name, tokenId, targetName: targetToken.name, targetTokenId, skill, style, dc, roll: rollTotal, distance, success };
     
-    // Get or create ball token at carrier position
-    let ballToken = ChronoballState.getBallToken();
+      // Get or create ball token at carrier position
+      let ballToken = ChronoballState.getBallToken();
     
-    // If ball doesn't exist (was deleted when picked up), create it temporarily at carrier
-    if (!ballToken) {
-      await this.recreateBallToken(token.x, token.y);
-      ballToken = ChronoballState.getBallToken();
-    }
+      // If ball doesn't exist (was deleted when picked up), create it temporarily at carrier
+      if (!ballToken) {
+        await this.recreateBallToken(token.x, token.y);
+        ballToken = ChronoballState.getBallToken();
+      }
     
-    if (success) {
-      // Pass was successful, now check for interception at receiver
-      const interceptedAtReceiver = await ChronoballInterception.checkInterceptionAtReceiver(targetToken, token);
+      // A wall between thrower and receiver stops even a successful pass
+      const path = ChronoballFlight.resolvePath(token.center, targetToken.center, rules);
+    
+      if (success && !path.wallHit) {
+        // Pass was successful, now check for interception at receiver
+        const interceptedAtReceiver = await ChronoballInterception.checkInterceptionAtReceiver(targetToken, token, ChronoballState.getThrowStyle(style, rules));
       
-      if (interceptedAtReceiver) {
-        // Ball was intercepted at receiver - interception.js handles the turnover
-        // Just animate and create chat message
+        if (interceptedAtReceiver) {
+          // Ball was intercepted at receiver - interception.js handles the turnover
+          // Just animate and create chat message
+          const targetX = targetToken.x;
+          const targetY = targetToken.y;
+        
+          // Deduct from remaining throw distance
+          await ChronoballState.deductThrowDistance(distance);
+          await ChronoballStats.record(tokenId, { passesAttempted: 1, throwFeet: distance });
+        
+          // Animate ball flying
+          if (game.modules.get('sequencer')?.active && ballToken) {
+            const sequence = new Sequence()
+              .animation()
+              .on(ballToken)
+              .moveTowards({ x: targetX, y: targetY }, { ease: "easeOutCubic" })
+              .duration(1500)
+              .waitUntilFinished();
+          
+            await sequence.play();
+          
+            await ballToken.document.update({ x: targetX, y: targetY });
+          } else {
+            if (ballToken) {
+              await ballToken.document.update({ x: targetX, y: targetY });
+            }
+          }
+        
+          // Create chat message for successful pass but intercepted
+          await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, true, null, true, false, null, style);
+        
+          await ChronoballMatchLog.endPlay(play, { ...passDetails, intercepted: true });
+          return; // Exit - interception handled in interception.js
+        }
+      
+        // No interception - receiver gets ball normally
         const targetX = targetToken.x;
         const targetY = targetToken.y;
-        
+      
         // Deduct from remaining throw distance
-        await ChronoballState.deductThrowDistance(distance);
-        
-        // Animate ball flying
+        await ChronoballState.deductThrowDistance(this.getThrowDistanceCost(token, distance, degree, rules));
+        await ChronoballStats.record(tokenId, { passesAttempted: 1, passesCompleted: 1, throwFeet: distance });
+
+        // Check if the receiver is in a scoring target (for pass-in-zone score)
+        const state = ChronoballState.getMatchState();
+        const scoringTarget = ChronoballState.getScoringTargetAt(targetToken.document, targetToken.x, targetToken.y, state.attackingTeam, 'scorePassInZone', rules, state);
+      
+        // Animate ball flying with Sequencer
         if (game.modules.get('sequencer')?.active && ballToken) {
           const sequence = new Sequence()
             .animation()
             .on(ballToken)
             .moveTowards({ x: targetX, y: targetY }, { ease: "easeOutCubic" })
-            .duration(1500)
+            .duration(1500) // 1.5 seconds
             .waitUntilFinished();
-          
+        
           await sequence.play();
-          
+        
+          // Update final position
           await ballToken.document.update({ x: targetX, y: targetY });
         } else {
+          // Fallback: Move token instantly
           if (ballToken) {
             await ballToken.document.update({ x: targetX, y: targetY });
           }
         }
-        
-        // Create chat message for successful pass but intercepted
-        await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, true, null, true);
-        
-        return; // Exit - interception handled in interception.js
-      }
-      
-      // No interception - receiver gets ball normally
-      const targetX = targetToken.x;
-      const targetY = targetToken.y;
-      
-      // Deduct from remaining throw distance
-      await ChronoballState.deductThrowDistance(distance);
-
-      // Check if receiver is in target endzone (for pass-in-zone score)
-      const state = ChronoballState.getMatchState();
-      const targetZoneId = state.attackingTeam === 'A' ? rules.zoneBTileId : rules.zoneATileId;
-
-      // Check if pass was completed in endzone
-      const receiverInEndzone = ChronoballState.isTokenCenterInTile(targetToken.document, targetToken.x, targetToken.y, targetZoneId);
       
-      // Animate ball flying with Sequencer
-      if (game.modules.get('sequencer')?.active && ballToken) {
-        const sequence = new Sequence()
-          .animation()
-          .on(ballToken)
-          .moveTowards({ x: targetX, y: targetY }, { ease: "easeOutCubic" })
-          .duration(1500) // 1.5 seconds
-          .waitUntilFinished();
-        
-        await sequence.play();
-        
-        // Update final position
-        await ballToken.document.update({ x: targetX, y: targetY });
-      } else {
-        // Fallback: Move token instantly
+        // Delete ball token and set receiver as carrier
         if (ballToken) {
-          await ballToken.document.update({ x: targetX, y: targetY });
+          await ballToken.document.delete();
+          await ChronoballState.updateState({ ballTokenId: null });
         }
-      }
-      
-      // Delete ball token and set receiver as carrier
-      if (ballToken) {
-        await ballToken.document.delete();
-        await ChronoballState.updateState({ ballTokenId: null });
-      }
       
-      // Clear old carrier and set new carrier
-      await this.executeClearCarrier();
-      await this.executeSetCarrier(targetTokenId);
-      
-      // If receiver caught in endzone, award pass-in-zone score
-      if (receiverInEndzone) {
-        await ChronoballScoring.awardPassInZoneScore(state.attackingTeam);
-        // Create chat message for pass-in-zone score
-        await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, true, null, false, true);
-      } else {
-        // Normal pass completion
-        // Create chat message
-        await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, true);
-      }
+        // Clear old carrier and set new carrier
+        await this.executeClearCarrier();
+        await this.executeSetCarrier(targetTokenId);
       
-      ui.notifications.info(game.i18n.localize('CHRONOBALL.Chat.PassTitle'));
+        // If receiver caught in endzone, award pass-in-zone score
+        if (scoringTarget) {
+          await ChronoballScoring.awardPassInZoneScore(state.attackingTeam, targetTokenId, scoringTarget);
+          // Create chat message for pass-in-zone score
+          await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, true, null, false, true, null, style);
+        } else {
+          // Normal pass completion
+          // Create chat message
+          await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, true, null, false, false, null, style);
+        }
       
-    } else {
-      // Failed pass - ball falls short
-      const achievedDistance = this.calculateAchievedDistance(rollTotal, distance, rules);
+        await ChronoballMatchLog.endPlay(play, passDetails);
+        ui.notifications.info(game.i18n.localize('CHRONOBALL.Chat.PassTitle'));
       
-      // Calculate position along the path
-      const ratio = achievedDistance / distance;
-      const actualX = token.x + (targetToken.x - token.x) * ratio;
-      const actualY = token.y + (targetToken.y - token.y) * ratio;
+      } else {
+        // Failed pass - ball falls short; a blocked pass comes down at the wall
+        let landing = path;
+        let achievedDistance = ChronoballUtils.calculateDistance(token, path);
+        if (!success) {
+          achievedDistance = this.calculateAchievedDistance(rollTotal, distance, { ...rules, ...ChronoballState.getThrowStyle(style, rules) });
+        
+          // Calculate position along the path, then stop it at walls
+          const ratio = achievedDistance / distance;
+          landing = ChronoballFlight.resolvePath(token.center, {
+            x: token.center.x + (targetToken.center.x - token.center.x) * ratio,
+            y: token.center.y + (targetToken.center.y - token.center.y) * ratio
+          }, rules);
+          if (landing.wallHit) achievedDistance = ChronoballUtils.calculateDistance(token, landing);
+        }
+        const gridSize = canvas.grid.size;
+        const actualX = landing.x - (gridSize / 2);
+        const actualY = landing.y - (gridSize / 2);
       
-      ChronoballUtils.log(`Chronoball | Failed pass: Intended ${distance}ft, achieved ${achievedDistance}ft (${Math.round(ratio * 100)}%)`);
+        ChronoballUtils.log(`Chronoball | Failed pass: Intended ${distance}ft, achieved ${achievedDistance}ft${landing.wallHit ? ` (${landing.wallHit} by a wall)` : ''}`);
       
-      // Deduct only the actual distance
-      await ChronoballState.deductThrowDistance(achievedDistance);
+        // Deduct only the actual distance
+        await ChronoballState.deductThrowDistance(achievedDistance);
+        await ChronoballStats.record(tokenId, { passesAttempted: 1, throwFeet: achievedDistance });
       
-      // Animate ball flying with Sequencer to partial distance
-      if (game.modules.get('sequencer')?.active && ballToken) {
-        const sequence = new Sequence()
-          .animation()
-          .on(ballToken)
-          .moveTowards({ x: actualX, y: actualY }, { ease: "easeOutCubic" })
-          .duration(1500)
-          .waitUntilFinished();
-        
-        await sequence.play();
+        // Animate ball flying with Sequencer to partial distance
+        if (game.modules.get('sequencer')?.active && ballToken) {
+          await this.getFlightSequence(ballToken, landing, gridSize).play();
         
-        await ballToken.document.update({ x: actualX, y: actualY });
-      } else {
-        if (ballToken) {
           await ballToken.document.update({ x: actualX, y: actualY });
         } else {
-          await this.recreateBallToken(actualX, actualY);
+          if (ballToken) {
+            await ballToken.document.update({ x: actualX, y: actualY });
+          } else {
+            await this.recreateBallToken(actualX, actualY);
+          }
         }
-      }
       
-      // Clear carrier (ball is now on the ground)
-      await this.executeClearCarrier();
+        // Clear carrier (ball is now on the ground)
+        await this.executeClearCarrier();
       
-      // Create chat message
-      await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, false, achievedDistance);
+        // Create chat message
+        await this.createPassChatMessage(token, targetToken, distance, dc, rollTotal, false, achievedDistance, false, false, landing.wallHit, style);
+        await this.checkOutOfBounds(tokenId);
+
+        await ChronoballMatchLog.endPlay(play, { ...passDetails, distance: achievedDistance, targetDistance: distance });
       
-      ui.notifications.warn(game.i18n.format('CHRONOBALL.Notifications.PassFellShort', { achieved: Math.round(achievedDistance), distance: Math.round(distance) }));
+        ui.notifications.warn(game.i18n.format('CHRONOBALL.Notifications.PassFellShort', { achieved: Math.round(achievedDistance), distance: Math.round(distance) }));
+      }
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, aborted: true });
+      throw error;
+    }
+  }
+  
+  /**
+   * Check where a loose ball came to rest against the field boundary. Out of bounds,
+   * possession goes to the next team: by the rules the ball either restarts in its
+   * endzone, or is placed on the nearest boundary point for a throw-in.
+   * Returns true if the ball was out.
+   */
+  static async checkOutOfBounds(lastTouchTokenId = null) {
+    const rules = ChronoballState.getRules();
+    const ballToken = ChronoballState.getBallToken();
+    if (!ballToken || ChronoballState.isTokenCenterInField(ballToken.document, ballToken.document.x, ballToken.document.y, rules)) {
+      return false;
+    }
+
+    const state = ChronoballState.getMatchState();
+    const team = ChronoballState.getNextTeam(state.attackingTeam, rules);
+    const throwIn = rules.outOfBounds === 'throwIn';
+
+    // Work out the throw-in spot before the phase change respawns the ball
+    const halfSize = (ballToken.document.width * canvas.grid.size) / 2;
+    const spot = throwIn
+      ? ChronoballState.getNearestZonePoint(rules.fieldZoneId, ballToken.document.x + halfSize, ballToken.document.y + halfSize)
+      : null;
+
+    ChronoballUtils.log(`Chronoball | Ball out of bounds, ${throwIn ? 'throw-in' : 'turnover'} for Team ${team}`);
+    await ChronoballMatchLog.record('outOfBounds', { team, teamName: ChronoballState.getTeamName(team, state), throwIn, lastTouchTokenId });
+    await this.createOutOfBoundsChatMessage(team, throwIn);
+
+    await ChronoballState.endPhase();
+
+    const newBall = ChronoballState.getBallToken();
+    if (spot && newBall) {
+      await newBall.document.update({ x: spot.x - halfSize, y: spot.y - halfSize }, { chronoball_internal: true });
+    }
+    await ChronoballState.updateState({ outOfBounds: { team, throwIn } });
+
+    ui.notifications.warn(game.i18n.format(throwIn ? 'CHRONOBALL.Notifications.OutOfBoundsThrowIn' : 'CHRONOBALL.Notifications.OutOfBoundsTurnover', {
+      team: ChronoballState.getTeamName(team)
+    }));
+    return true;
+  }
+  
+  /**
+   * Move the ball along a path (animated with Sequencer if active) without triggering auto-scoring
+   */
+  static async moveBallAlong(ballToken, path, gridSize) {
+    if (!ballToken) return;
+    if (game.modules.get('sequencer')?.active) {
+      await this.getFlightSequence(ballToken, path, gridSize).play();
+    }
+    await ballToken.document.update({ x: path.x - (gridSize / 2), y: path.y - (gridSize / 2) }, { chronoball_internal: true });
+  }
+  
+  /**
+   * Sequencer animation of the ball along its flight path, via the wall it deflected off
+   */
+  static getFlightSequence(ballToken, path, gridSize) {
+    const waypoints = path.wallHit === 'deflected' ? [path.collision, path] : [path];
+    const sequence = new Sequence();
+    for (const point of waypoints) {
+      sequence.animation()
+        .on(ballToken)
+        .moveTowards({ x: point.x - (gridSize / 2), y: point.y - (gridSize / 2) }, { ease: "easeOutCubic" })
+        .duration(1500 / waypoints.length)
+        .waitUntilFinished(-1);
+    }
+    return sequence;
+  }
+  
+  /**
+   * A critical failure (systems with degrees of success) makes the carrier fumble
+   * the ball instead of throwing it. Returns true if the ball was fumbled.
+   */
+  static async handleCriticalFailure(token, degree) {
+    if (degree !== ChronoballSystem.adapter.DEGREES.CRITICAL_FAILURE) return false;
+
+    ChronoballUtils.log(`Chronoball | Critical failure by ${token.name}, ball is fumbled`);
+    ui.notifications.warn(game.i18n.format('CHRONOBALL.Notifications.CriticalFumble', { name: token.name }));
+    await this.executeFumble(token.id);
+    return true;
+  }
+  
+  /**
+   * Throw distance a successful throw or pass uses up. A critical success gives
+   * back the critical bonus distance, so the team can throw further this turn.
+   */
+  static getThrowDistanceCost(token, distance, degree, rules) {
+    if (degree !== ChronoballSystem.adapter.DEGREES.CRITICAL_SUCCESS) return distance;
+
+    const bonus = Number(rules.criticalThrowBonus ?? 10) || 0;
+    if (bonus > 0) {
+      ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.CriticalThrow', { name: token.name, bonus }));
     }
+    return Math.max(0, distance - bonus);
   }
   
   /**
@@ -599,40 +792,48 @@ export class ChronoballBall {
     if (!token) return;
     
     const state = ChronoballState.getMatchState();
+    const play = ChronoballMatchLog.beginPlay('pickup', [tokenId]);
+    try {
+      // Check if this is a defender picking up the ball
+      const actorTeam = ChronoballState.getTeamAssignment(token.id);
+      const isDefender = ChronoballState.isDefendingTeam(actorTeam, state);
     
-    // Check if this is a defender picking up the ball
-    const actorTeam = ChronoballState.getTeamAssignment(token.actor.id);
-    const isDefender = (actorTeam === state.defendingTeam);
-    
-    if (isDefender) {
-      // Defender picked up ball = TURNOVER!
-      const teamName = actorTeam === 'A' ? state.teamAName : state.teamBName;
+      if (isDefender) {
+        // Defender picked up ball = TURNOVER!
+        const teamName = ChronoballState.getTeamName(actorTeam, state);
       
-      // Create turnover chat message
-      await this.createTurnoverChatMessage(token, teamName, 'pickup');
+        // Create turnover chat message
+        await this.createTurnoverChatMessage(token, teamName, 'pickup');
       
-      // End phase immediately (ball will spawn in new attacking zone)
-      await ChronoballState.endPhase();
+        // End phase immediately (ball will spawn in new attacking zone)
+        await ChronoballState.endPhase();
       
-      ui.notifications.notify(`${teamName} recovered the ball! Turnover!`);
+        await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, turnover: true });
+        ui.notifications.notify(`${teamName} recovered the ball! Turnover!`);
       
-    } else {
-      // Attacker picked up ball normally
-      // Set as carrier
-      await this.executeSetCarrier(tokenId);
+      } else {
+        // Attacker picked up ball normally
+        // Set as carrier
+        await this.executeSetCarrier(tokenId);
       
-      // Delete the ball token (carrier has the ball now)
-      const ballToken = ChronoballState.getBallToken();
-      if (ballToken) {
-        await ballToken.document.delete();
-        // Clear the ball token ID from state (will be recreated when thrown/dropped)
-        await ChronoballState.updateState({ ballTokenId: null });
-      }
+        // Delete the ball token (carrier has the ball now)
+        const ballToken = ChronoballState.getBallToken();
+        if (ballToken) {
+          await ballToken.document.delete();
+          // Clear the ball token ID from state (will be recreated when thrown/dropped)
+          await ChronoballState.updateState({ ballTokenId: null });
+        }
       
-      // Create chat message
-      await this.createPickupChatMessage(token);
+        // Create chat message
+        await this.createPickupChatMessage(token);
+
+        await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId });
       
-      ui.notifications.info(game.i18n.localize('CHRONOBALL.Chat.PickupTitle'));
+        ui.notifications.info(game.i18n.localize('CHRONOBALL.Chat.PickupTitle'));
+      }
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, aborted: true });
+      throw error;
     }
   }
   
@@ -646,33 +847,41 @@ export class ChronoballBall {
     const token = canvas.tokens.get(tokenId);
     if (!token) return;
 
-    let ballX = token.x;
-    let ballY = token.y;
+    const play = ChronoballMatchLog.beginPlay('drop', [tokenId]);
+    try {
+      let ballX = token.x;
+      let ballY = token.y;
     
-    if (dropX !== undefined && dropY !== undefined) {
-      // The ball is always 1x1 grid units, so its dimensions are the grid size.
-      const ballPixelWidth = canvas.grid.size;
-      const ballPixelHeight = canvas.grid.size;
+      if (dropX !== undefined && dropY !== undefined) {
+        // The ball is always 1x1 grid units, so its dimensions are the grid size.
+        const ballPixelWidth = canvas.grid.size;
+        const ballPixelHeight = canvas.grid.size;
       
-      // Adjust clicked position to be the top-left corner for centering the ball
-      ballX = dropX - (ballPixelWidth / 2);
-      ballY = dropY - (ballPixelHeight / 2);
+        // Adjust clicked position to be the top-left corner for centering the ball
+        ballX = dropX - (ballPixelWidth / 2);
+        ballY = dropY - (ballPixelHeight / 2);
       
-      ChronoballUtils.log(`Chronoball | Dropping ball centered at clicked position: (${ballX}, ${ballY})`);
-    } else {
-      ChronoballUtils.log(`Chronoball | Dropping ball at carrier position: (${ballX}, ${ballY})`);
-    }
+        ChronoballUtils.log(`Chronoball | Dropping ball centered at clicked position: (${ballX}, ${ballY})`);
+      } else {
+        ChronoballUtils.log(`Chronoball | Dropping ball at carrier position: (${ballX}, ${ballY})`);
+      }
     
-    // Recreate ball token at drop position
-    await this.recreateBallToken(ballX, ballY);
+      // Recreate ball token at drop position
+      await this.recreateBallToken(ballX, ballY);
     
-    // Clear carrier
-    await this.executeClearCarrier();
+      // Clear carrier
+      await this.executeClearCarrier();
     
-    // Create chat message
-    await this.createDropChatMessage(token);
+      // Create chat message
+      await this.createDropChatMessage(token);
+
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId });
     
-    ui.notifications.info(game.i18n.localize('CHRONOBALL.Chat.DropTitle'));
+      ui.notifications.info(game.i18n.localize('CHRONOBALL.Chat.DropTitle'));
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, aborted: true });
+      throw error;
+    }
   }
 
   static async executeFumble(tokenId) {
@@ -684,43 +893,45 @@ export class ChronoballBall {
     const token = canvas.tokens.get(tokenId);
     if (!token) return;
 
-    // --- Scatterball Logic ---
-    const scatterRadiusFeet = 5;
-    const gridSize = canvas.grid.size;
-    const gridDistance = canvas.grid.distance;
-    const scatterRadiusPixels = (scatterRadiusFeet / gridDistance) * gridSize;
-
-    // Get a random angle and distance
-    const randomAngle = Math.random() * 2 * Math.PI; // 0 to 2PI
-    const randomDistance = Math.random() * scatterRadiusPixels; // 0 to radius
-
-    // Calculate the new position
-    const newX = token.x + Math.cos(randomAngle) * randomDistance;
-    const newY = token.y + Math.sin(randomAngle) * randomDistance;
-    // --- End Scatterball Logic ---
-
+    const play = ChronoballMatchLog.beginPlay('fumble', [tokenId]);
+    try {
+      // Scatter the ball from the carrier in a d8 direction, stopping at walls
+      const rules = ChronoballState.getRules();
+      const gridSize = canvas.grid.size;
+      const scatter = await ChronoballScatter.roll(rules.fumbleScatterFormula ?? '1d2*5');
+      const landing = scatter
+        ? ChronoballFlight.resolvePath(token.center, ChronoballScatter.getScatterPoint(token.center, scatter), rules)
+        : token.center;
 
-    // Recreate ball token at the new scattered position
-    await this.recreateBallToken(newX, newY);
+      // Recreate ball token at the new scattered position
+      await this.recreateBallToken(landing.x - (gridSize / 2), landing.y - (gridSize / 2));
+      await ChronoballStats.record(tokenId, { fumbles: 1 });
 
-    // Clear carrier status
-    await this.executeClearCarrier();
+      // Clear carrier status
+      await this.executeClearCarrier();
 
-    // Create a chat message for the fumble
-    const content = `
-      <div class="chronoball-chat-message failure">
-        <div class="message-header">
-          <span class="message-icon">💥</span>
-          <span class="message-title">FUMBLE!</span>
+      // Create a chat message for the fumble
+      const content = `
+        <div class="chronoball-chat-message failure">
+          <div class="message-header">
+            <span class="message-icon">💥</span>
+            <span class="message-title">FUMBLE!</span>
+          </div>
+          <div class="message-body">
+            <p><strong>${token.name}</strong> fumbles and drops the ball!</p>
+          </div>
         </div>
-        <div class="message-body">
-          <p><strong>${token.name}</strong> fumbles and drops the ball!</p>
-        </div>
-      </div>
-    `;
-    await ChronoballChat.createMessage({ content, speaker: { alias: 'Chronoball' } });
+      `;
+      await ChronoballChat.createMessage({ content, speaker: { alias: 'Chronoball' } });
+      if (scatter) await ChronoballScatter.announce(scatter, token.center, landing, 'fumble');
+      await this.checkOutOfBounds(tokenId);
 
-    ui.notifications.warn(game.i18n.format('CHRONOBALL.Chat.FumbleFailed', { name: token.name }));
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, scatter: scatter?.distance ?? 0 });
+      ui.notifications.warn(game.i18n.format('CHRONOBALL.Chat.FumbleFailed', { name: token.name }));
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: token.name, tokenId, aborted: true });
+      throw error;
+    }
   }
   
   /**
@@ -782,6 +993,11 @@ export class ChronoballBall {
     // Set new carrier
     await ChronoballState.setCarrierStatus(tokenId, true);
     await this.applyCarrierEffects(token);
+
+    // A ball that went out of bounds is back in play
+    if (ChronoballState.getMatchState().outOfBounds) {
+      await ChronoballState.updateState({ outOfBounds: null });
+    }
     
     ChronoballUtils.log('Chronoball | Carrier set:', token.name);
   }
@@ -807,7 +1023,7 @@ export class ChronoballBall {
     await token.document.setFlag('chronoball', 'carrierTempHP', rules.carrierTempHP || 0);
     // Save previous temp HP so we can restore/remove on loss of possession
     try {
-      const prev = Number(token?.actor?.system?.attributes?.hp?.temp ?? 0);
+      const prev = ChronoballSystem.adapter.getTempHP(token?.actor);
       await token.document.setFlag('chronoball', 'prevTempHP', isNaN(prev) ? 0 : prev);
     } catch (e) {
       console.warn('Chronoball | Could not store prevTempHP:', e);
@@ -817,12 +1033,12 @@ export class ChronoballBall {
     try {
       const actor = token.actor;
       const grant = Number(rules.carrierTempHP) || 0;
-      if (grant > 0 && actor?.system?.attributes?.hp) {
-        const current = Number(actor.system.attributes.hp.temp ?? 0);
-        // 5e semantics: don't stack temp HP; replace only if higher
+      if (grant > 0 && ChronoballSystem.adapter.hasHP(actor)) {
+        const current = ChronoballSystem.adapter.getTempHP(actor);
+        // Temp HP don't stack; replace only if higher
         const newTemp = Math.max(current, grant);
         if (!Number.isNaN(newTemp) && newTemp !== current) {
-          await actor.update({ 'system.attributes.hp.temp': newTemp });
+          await ChronoballSystem.adapter.setTempHP(actor, newTemp);
         }
       }
     } catch (err) {
@@ -835,10 +1051,6 @@ export class ChronoballBall {
       await this.applySequencerAura(token, rules);
     }
     
-    // Note: We do NOT update actor.system.attributes.hp.temp here anymore
-    // The GM or player can manually adjust temp HP if needed
-    // This avoids permission issues
-    
     ChronoballUtils.log(`Chronoball | Carrier effects applied to ${token.name} (temp HP noted: ${rules.carrierTempHP})`);
     
     // Trigger a re-render of the token
@@ -874,11 +1086,10 @@ export class ChronoballBall {
     // Remove/restore Temp HP that were granted for carrying the ball
     try {
       const actor = token.actor;
-      const hasHP = !!actor?.system?.attributes?.hp;
-      if (hasHP) {
+      if (ChronoballSystem.adapter.hasHP(actor)) {
         const grant = Number((await token.document.getFlag('chronoball', 'carrierTempHP')) ?? 0);
         const prev = Number((await token.document.getFlag('chronoball', 'prevTempHP')) ?? 0);
-        const current = Number(actor.system.attributes.hp.temp ?? 0);
+        const current = ChronoballSystem.adapter.getTempHP(actor);
         let newTemp = current;
         if (!Number.isNaN(prev)) {
           // Restore to previous temp HP but never increase (avoid healing temp HP)
@@ -888,7 +1099,7 @@ export class ChronoballBall {
           if (current <= grant) newTemp = 0;
         }
         if (newTemp !== current) {
-          await actor.update({ 'system.attributes.hp.temp': newTemp });
+          await ChronoballSystem.adapter.setTempHP(actor, newTemp);
         }
       }
     } catch (err) {
@@ -922,15 +1133,20 @@ export class ChronoballBall {
     return baseDC + (steps * dcIncrease);
   }
   
-  static async getTargetLocation() {
+  static async getTargetLocation(origin = null) {
+    // With wall collision on, a line from the thrower shows where walls block the path
+    const preview = origin ? ChronoballFlight.startPreview(origin) : null;
+    
     return new Promise((resolve) => {
       const handler = (event) => {
         // Get canvas position from mouse event
         const pos = canvas.mousePosition;
         
         canvas.stage.off('click', handler);
+        preview?.stop();
         
         if (pos) {
+          if (origin) ChronoballFlight.warnIfBlocked(origin, pos);
           resolve({ x: pos.x, y: pos.y });
         } else {
           resolve(null);
@@ -943,6 +1159,7 @@ export class ChronoballBall {
       // Timeout after 30 seconds
       setTimeout(() => {
         canvas.stage.off('click', handler);
+        preview?.stop();
         resolve(null);
       }, 30000);
     });
@@ -985,28 +1202,49 @@ export class ChronoballBall {
     });
   }
   
-  static async chooseSkill() {
-    const skills = this.getAvailableSkills();
+  /**
+   * Let the thrower pick a throw style (if any are enabled) and a skill.
+   * Returns { style, skill } or null if cancelled.
+   */
+  static async chooseSkill(distance, rules = ChronoballState.getRules()) {
+    const styles = ChronoballState.getThrowStyles(rules);
+    const getSkillOptions = (style) => this.getAvailableSkills(style)
+      .map(s => `<option value="${s.id}">${s.label}</option>`).join('');
     
     return new Promise((resolve) => {
       new Dialog({
         title: game.i18n.localize('CHRONOBALL.Chat.SkillChoice'),
         content: `
           <form>
+            ${styles.length > 1 ? `
+            <div class="form-group">
+              <label>${game.i18n.localize('CHRONOBALL.ThrowStyles.Style')}</label>
+              <select name="style">
+                ${styles.map(style => `<option value="${style.id}">${game.i18n.localize(`CHRONOBALL.ThrowStyles.${style.id}`)} (${game.i18n.localize('CHRONOBALL.Chat.DC')} ${this.calculateDC(distance, style)})</option>`).join('')}
+              </select>
+            </div>
+            ` : ''}
             <div class="form-group">
               <label>${game.i18n.localize('CHRONOBALL.Chat.ChooseSkill')}</label>
               <select name="skill">
-                ${skills.map(s => `<option value="${s.id}">${s.label}</option>`).join('')}
+                ${getSkillOptions(styles[0])}
               </select>
             </div>
           </form>
         `,
+        render: (html) => {
+          // Styles can bring their own skills
+          html.find('[name="style"]').change(event => {
+            html.find('[name="skill"]').html(getSkillOptions(ChronoballState.getThrowStyle(event.currentTarget.value, rules)));
+          });
+        },
         buttons: {
           ok: {
             label: 'OK',
             callback: (html) => {
+              const style = ChronoballState.getThrowStyle(html.find('[name="style"]').val(), rules);
               const skill = html.find('[name="skill"]').val();
-              resolve(skill);
+              resolve({ style, skill });
             }
           },
           cancel: {
@@ -1019,22 +1257,36 @@ export class ChronoballBall {
     });
   }
   
-  static getAvailableSkills() {
+  /**
+   * Check a throw against the range of its style. Returns false (with an error) if it is too far.
+   */
+  static checkStyleRange(style, distance) {
+    if (!style.maxDistance || distance <= style.maxDistance) return true;
+    ui.notifications.error(game.i18n.format('CHRONOBALL.Errors.ExceedsStyleRange', {
+      style: game.i18n.localize(`CHRONOBALL.ThrowStyles.${style.id}`),
+      distance: style.maxDistance
+    }));
+    return false;
+  }
+  
+  static getAvailableSkills(style = null) {
     const rules = ChronoballState.getRules();
-    const skillsString = rules.availableSkills;
+    // A throw style with its own skills lists them as skill IDs
+    const skillsString = style?.skills || rules.availableSkills;
 
     if (!skillsString || typeof skillsString !== 'string') {
-      return [
-        { id: 'ath', label: 'Athletics' },
-        { id: 'slt', label: 'Sleight of Hand' },
-        { id: 'acr', label: 'Acrobatics' }
-      ];
+      return ChronoballSystem.adapter.getDefaultSkills();
     }
 
-    return skillsString.split(',').map(s => {
+    // Skip skills the game system does not know, e.g. saved under another system
+    const systemSkills = ChronoballSystem.adapter.getSkills();
+    const hasSystemSkills = Object.keys(systemSkills).length > 0;
+    const skills = skillsString.split(',').map(s => {
       const parts = s.trim().split(':');
-      return { id: parts[0], label: parts[1] || parts[0] };
-    }).filter(s => s.id && s.label);
+      return { id: parts[0], label: parts[1] || systemSkills[parts[0]] || parts[0] };
+    }).filter(s => s.id && s.label && (!hasSystemSkills || s.id in systemSkills));
+
+    return skills.length > 0 ? skills : ChronoballSystem.adapter.getDefaultSkills();
   }
   
   static async performRoll(actor, skill, dc) {
@@ -1042,21 +1294,8 @@ export class ChronoballBall {
 
     const performRealRoll = async () => {
         try {
-            if (actor.system.skills && actor.system.skills[skill]) {
-                // Use the D&D 5e roll dialog (DnD5e 4.1+ API)
-                const config = { skill: skill, targetValue: dc };
-                const dialog = {};
-                const message = { create: false };
-                const rolls = await actor.rollSkill(config, dialog, message);
-                return rolls?.[0] || null;
-            } else {
-                // Fallback for non-dnd5e actors
-                const advantage = await this.askForAdvantage();
-                let formula = '1d20';
-                if (advantage === 1) formula = '2d20kh';
-                if (advantage === -1) formula = '2d20kl';
-                return new Roll(formula).evaluate({ async: true });
-            }
+            // The system adapter shows the system's roll dialog, or rolls a plain d20
+            return await ChronoballSystem.adapter.rollSkill(actor, skill, dc);
         } catch (error) {
             console.warn('Chronoball | Roll error, using fallback 1d20:', error);
             return new Roll('1d20').evaluate({ async: true });
@@ -1102,39 +1341,17 @@ export class ChronoballBall {
       }
     }
     
+    // Systems with degrees of success (PF2e) also report criticals
     return {
       roll,
-      success: roll.total >= dc
+      success: ChronoballSystem.adapter.isSuccess(roll, dc),
+      degree: ChronoballSystem.adapter.getDegreeOfSuccess(roll, dc)
     };
   }
   
-  static async askForAdvantage() {
-    return new Promise((resolve) => {
-      new Dialog({
-        title: 'Roll Mode',
-        content: '<p>Choose roll mode:</p>',
-        buttons: {
-          advantage: {
-            label: 'Advantage',
-            callback: () => resolve(1)
-          },
-          normal: {
-            label: 'Normal',
-            callback: () => resolve(0)
-          },
-          disadvantage: {
-            label: 'Disadvantage',
-            callback: () => resolve(-1)
-          }
-        },
-        default: 'normal'
-      }).render(true);
-    });
-  }
-  
   // Chat message helpers
   
-  static async createThrowChatMessage(token, targetDistance, actualDistance, dc, rollTotal, success) {
+  static async createThrowChatMessage(token, targetDistance, actualDistance, dc, rollTotal, success, wallHit = null, bounce = null, style = 'standard') {
     const content = `
       <div class="chronoball-chat-message ${success ? 'success' : 'failure'}">
         <div class="message-header">
@@ -1154,6 +1371,14 @@ export class ChronoballBall {
               <td class="stat-value" style="color: #ff9800;">${actualDistance} ft</td>
             </tr>
             ` : ''}
+            ${this.getStyleRowHTML(style)}
+            ${wallHit ? this.getWallHitRowHTML(wallHit) : ''}
+            ${bounce ? `
+            <tr>
+              <td class="stat-label">${game.i18n.localize('CHRONOBALL.Chat.Bounce')}:</td>
+              <td class="stat-value">+${bounce.distance} ft (${bounce.roll.formula})${bounce.path.wallHit ? `, ${game.i18n.localize(bounce.path.wallHit === 'deflected' ? 'CHRONOBALL.Chat.WallDeflected' : 'CHRONOBALL.Chat.WallBlocked')}` : ''}</td>
+            </tr>
+            ` : ''}
             <tr>
               <td class="stat-label">${game.i18n.localize('CHRONOBALL.Chat.DC')}:</td>
               <td class="stat-value">${dc}</td>
@@ -1176,7 +1401,32 @@ export class ChronoballBall {
     await ChronoballChat.createMessage({ content, speaker: ChatMessage.getSpeaker({ token }) });
   }
   
-  static async createPassChatMessage(token, targetToken, targetDistance, dc, rollTotal, success, actualDistance, intercepted, passInZone) {
+  /**
+   * Chat table row for a ball stopped or deflected by a wall
+   */
+  static getWallHitRowHTML(wallHit) {
+    return `
+            <tr>
+              <td class="stat-label">${game.i18n.localize('CHRONOBALL.Chat.Wall')}:</td>
+              <td class="stat-value" style="color: #ff9800;">${game.i18n.localize(wallHit === 'deflected' ? 'CHRONOBALL.Chat.WallDeflected' : 'CHRONOBALL.Chat.WallBlocked')}</td>
+            </tr>
+    `;
+  }
+  
+  /**
+   * Chat table row for the throw style, empty for a standard throw
+   */
+  static getStyleRowHTML(style) {
+    if (!style || style === 'standard') return '';
+    return `
+            <tr>
+              <td class="stat-label">${game.i18n.localize('CHRONOBALL.ThrowStyles.Style')}:</td>
+              <td class="stat-value">${game.i18n.localize(`CHRONOBALL.ThrowStyles.${style}`)}</td>
+            </tr>
+    `;
+  }
+  
+  static async createPassChatMessage(token, targetToken, targetDistance, dc, rollTotal, success, actualDistance, intercepted, passInZone, wallHit, style = 'standard') {
     actualDistance = actualDistance || null;
     intercepted = intercepted || false;
     passInZone = passInZone || false;
@@ -1216,6 +1466,8 @@ export class ChronoballBall {
               <td class="stat-label">${success ? game.i18n.localize('CHRONOBALL.Chat.Distance') : 'Target'}:</td>
               <td class="stat-value">${distanceInfo}</td>
             </tr>
+            ${this.getStyleRowHTML(style)}
+            ${wallHit ? this.getWallHitRowHTML(wallHit) : ''}
             <tr>
               <td class="stat-label">${game.i18n.localize('CHRONOBALL.Chat.DC')}:</td>
               <td class="stat-value">${dc}</td>
@@ -1270,6 +1522,31 @@ export class ChronoballBall {
     await ChatMessage.create({ content, speaker: ChatMessage.getSpeaker({ token }) });
   }
   
+  static async createOutOfBoundsChatMessage(team, throwIn) {
+    const state = ChronoballState.getMatchState();
+    const teamColor = ChronoballState.getTeamColor(team, ChronoballState.getRules(), state);
+    const teamName = `<span style="color: ${teamColor};">${ChronoballState.getTeamName(team, state)}</span>`;
+
+    const content = `
+      <div class="chronoball-chat-message turnover">
+        <div class="message-header">
+          <span class="message-icon">🚩</span>
+          <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.OutOfBoundsTitle')}</span>
+        </div>
+        <div class="message-body">
+          <p style="font-size: 16px; font-weight: bold; text-align: center;">
+            ${game.i18n.format(throwIn ? 'CHRONOBALL.Chat.OutOfBoundsThrowIn' : 'CHRONOBALL.Chat.OutOfBoundsTurnover', { team: teamName })}
+          </p>
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+  }
+  
   static async createTurnoverChatMessage(token, teamName, type) {
     const typeText = type === 'pickup' ? 'recovered' : 'intercepted';
     
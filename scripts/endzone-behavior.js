@@ -0,0 +1,31 @@
+/**
+ * ChronoballEndzoneBehavior - Region behavior that scores when the carrier or the ball enters the region
+ */
+
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballEndzoneBehavior extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static TYPE = 'chronoball.endzone';
+
+  static defineSchema() {
+    return {};
+  }
+
+  static events = {
+    [CONST.REGION_EVENTS.TOKEN_ENTER]: this._onTokenEnter
+  };
+
+  /**
+   * Register the behavior type so it can be added to regions
+   */
+  static register() {
+    CONFIG.RegionBehavior.dataModels[this.TYPE] = this;
+    CONFIG.RegionBehavior.typeIcons[this.TYPE] = 'fas fa-futbol';
+    ChronoballUtils.log('Chronoball | Endzone region behavior registered');
+  }
+
+  static async _onTokenEnter(event) {
+    const { ChronoballScoring } = await import('./scoring.js');
+    await ChronoballScoring.onZoneEntered(this.region, event.data.token);
+  }
+}
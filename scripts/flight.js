@@ -0,0 +1,203 @@
+/**
+ * ChronoballFlight - Ball flight paths against scene walls
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballFlight {
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Flight paths initialized');
+  }
+
+  /**
+   * Wall type that stops the ball: 'move', 'sight' or 'none'
+   */
+  static getCollisionType(rules = ChronoballState.getRules()) {
+    return rules.wallCollision ?? 'none';
+  }
+
+  /**
+   * Get the first point where a straight flight between two canvas points hits a wall, or null
+   */
+  static getWallCollision(origin, destination, rules = ChronoballState.getRules()) {
+    const type = this.getCollisionType(rules);
+    if (type === 'none' || !canvas.ready) return null;
+    if (origin.x === destination.x && origin.y === destination.y) return null;
+
+    const collision = CONFIG.Canvas.polygonBackends[type].testCollision(origin, destination, { type, mode: 'closest' });
+    return collision ? { x: collision.x, y: collision.y } : null;
+  }
+
+  /**
+   * Resolve where a ball flying from origin to destination (canvas points, ball centers)
+   * comes down. On a wall hit the ball either stops in front of the wall, or deflects off
+   * it and flies on for half of the remaining distance, stopping at the next wall.
+   * Returns { x, y, collision, wallHit } with wallHit null, 'blocked' or 'deflected'.
+   */
+  static resolvePath(origin, destination, rules = ChronoballState.getRules()) {
+    const collision = this.getWallCollision(origin, destination, rules);
+    if (!collision) return { x: destination.x, y: destination.y, collision: null, wallHit: null };
+
+    const stop = this.pullBack(collision, origin);
+    if (rules.wallCollisionResult !== 'deflect') {
+      return { ...stop, collision: stop, wallHit: 'blocked' };
+    }
+
+    const wall = this.getNearestWallSegment(collision);
+    const remaining = Math.hypot(destination.x - collision.x, destination.y - collision.y) / 2;
+    if (!wall || remaining < 1) {
+      return { ...stop, collision: stop, wallHit: 'blocked' };
+    }
+
+    const direction = this.reflect(
+      { x: destination.x - origin.x, y: destination.y - origin.y },
+      { x: wall.b.x - wall.a.x, y: wall.b.y - wall.a.y }
+    );
+    const bounceEnd = { x: stop.x + direction.x * remaining, y: stop.y + direction.y * remaining };
+    const secondHit = this.getWallCollision(stop, bounceEnd, rules);
+    const end = secondHit ? this.pullBack(secondHit, stop) : bounceEnd;
+
+    ChronoballUtils.log(`Chronoball | Ball deflected off a wall at (${Math.round(collision.x)}, ${Math.round(collision.y)})`);
+    return { ...end, collision: stop, wallHit: 'deflected' };
+  }
+
+  /**
+   * Roll how far a landed ball bounces and rolls on in its flight direction. The roll
+   * stops at walls like a throw does, and at the field boundary unless it carries the
+   * ball into a scoring zone. Returns { roll, distance, path } or null when the rules
+   * have no bounce formula or the ball has no direction to roll in.
+   */
+  static async resolveBounce(from, landing, rules = ChronoballState.getRules()) {
+    const formula = (rules.ballBounceFormula ?? '').trim();
+    if (!formula) return null;
+
+    const dx = landing.x - from.x;
+    const dy = landing.y - from.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return null;
+
+    let roll;
+    try {
+      roll = await new Roll(formula).evaluate();
+    } catch (error) {
+      console.error('Chronoball | Invalid ball bounce formula:', formula, error);
+      return null;
+    }
+    if (roll.total <= 0) return null;
+
+    const pixels = (roll.total / canvas.grid.distance) * canvas.grid.size;
+    const end = { x: landing.x + (dx / length) * pixels, y: landing.y + (dy / length) * pixels };
+    let path = this.resolvePath(landing, end, rules);
+    if (this.leavesField(landing, path, rules)) {
+      const edge = ChronoballState.getNearestZonePoint(rules.fieldZoneId, path.x, path.y);
+      if (edge) path = { ...path, x: edge.x, y: edge.y };
+    }
+
+    ChronoballUtils.log(`Chronoball | Ball bounces on ${roll.total}ft (${formula})${path.wallHit ? `, ${path.wallHit} by a wall` : ''}`);
+    return { roll, distance: roll.total, path };
+  }
+
+  /**
+   * Check if a roll from a point inside the field boundary ends outside it. Rolling
+   * into one of the attacking team's scoring zones does not count as leaving.
+   */
+  static leavesField(from, to, rules = ChronoballState.getRules()) {
+    if (!ChronoballState.isPointInZone(rules.fieldZoneId, from.x, from.y)) return false;
+    if (ChronoballState.isPointInZone(rules.fieldZoneId, to.x, to.y)) return false;
+
+    const state = ChronoballState.getMatchState();
+    return !ChronoballState.getScoringTargets(state.attackingTeam, rules, state)
+      .some(target => ChronoballState.isPointInZone(target.zoneId, to.x, to.y));
+  }
+
+  /**
+   * Warn the thrower if a wall blocks the straight path to the target. Returns true if blocked.
+   */
+  static warnIfBlocked(origin, destination, rules = ChronoballState.getRules()) {
+    if (!this.getWallCollision(origin, destination, rules)) return false;
+    ui.notifications.warn(game.i18n.localize(
+      rules.wallCollisionResult === 'deflect' ? 'CHRONOBALL.Notifications.PathDeflected' : 'CHRONOBALL.Notifications.PathBlocked'
+    ));
+    return true;
+  }
+
+  /**
+   * Draw the flight path from origin to the mouse while a target is picked: clear up
+   * to the first wall, red behind it. Returns a handle with stop(), or null when walls
+   * are ignored.
+   */
+  static startPreview(origin, rules = ChronoballState.getRules()) {
+    if (this.getCollisionType(rules) === 'none') return null;
+
+    const graphics = new PIXI.Graphics();
+    canvas.controls.addChild(graphics);
+
+    const draw = () => {
+      const pos = canvas.mousePosition;
+      if (!pos) return;
+      const collision = this.getWallCollision(origin, pos, rules);
+
+      graphics.clear();
+      graphics.lineStyle(3, 0xffffff, 0.8).moveTo(origin.x, origin.y).lineTo(collision?.x ?? pos.x, collision?.y ?? pos.y);
+      if (collision) {
+        graphics.lineStyle(3, 0xf44336, 0.8).moveTo(collision.x, collision.y).lineTo(pos.x, pos.y);
+        graphics.beginFill(0xf44336, 0.8).drawCircle(collision.x, collision.y, 6).endFill();
+      }
+    };
+
+    canvas.stage.on('pointermove', draw);
+    return {
+      stop: () => {
+        canvas.stage.off('pointermove', draw);
+        graphics.destroy();
+      }
+    };
+  }
+
+  /**
+   * Move a point on a wall back towards where the ball came from, so the ball
+   * comes to rest half a grid square in front of the wall
+   */
+  static pullBack(point, from) {
+    const dx = from.x - point.x;
+    const dy = from.y - point.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return { x: point.x, y: point.y };
+
+    const step = Math.min(canvas.grid.size / 2, length);
+    return { x: point.x + (dx / length) * step, y: point.y + (dy / length) * step };
+  }
+
+  /**
+   * Get the wall segment closest to a canvas point
+   */
+  static getNearestWallSegment(point) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const wall of canvas.walls.placeables) {
+      const [ax, ay, bx, by] = wall.document.c;
+      const a = { x: ax, y: ay };
+      const b = { x: bx, y: by };
+      const closest = foundry.utils.closestPointToSegment(point, a, b);
+      const distance = Math.hypot(closest.x - point.x, closest.y - point.y);
+      if (distance < nearestDistance) {
+        nearest = { a, b };
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Reflect a direction off a wall, returned as a unit vector
+   */
+  static reflect(direction, wall) {
+    const wallLength = Math.hypot(wall.x, wall.y);
+    const normal = { x: -wall.y / wallLength, y: wall.x / wallLength };
+    const dot = direction.x * normal.x + direction.y * normal.y;
+    const reflected = { x: direction.x - 2 * dot * normal.x, y: direction.y - 2 * dot * normal.y };
+    const length = Math.hypot(reflected.x, reflected.y);
+    return { x: reflected.x / length, y: reflected.y / length };
+  }
+}
@@ -6,6 +6,7 @@ import { ChronoballState } from './state.js';
 import { ChronoballSocket } from './socket.js';
 import { ChronoballChat } from './chat.js';
 import { ChronoballUtils } from './utils.js';
+import { ChronoballSystem } from './system.js';
 
 export class ChronoballFumble {
   static pendingFumbles = new Map();
@@ -86,7 +87,7 @@ export class ChronoballFumble {
     // Case 1: The GM owns the token that needs to make the save.
     if (game.user.id === ownerUser.id) {
       ChronoballUtils.log(`Chronoball | GM owns token ${token.name}, performing local save.`);
-      return await this.performSaveLocal(token.actor, 'con', dc);
+      return await this.performSaveLocal(token.actor, ChronoballSystem.adapter.getFumbleSaveType(), dc);
     }
 
     // Case 2: A player owns the token. Request roll from player via socket.
@@ -99,6 +100,7 @@ export class ChronoballFumble {
         action: 'requestFumbleSave',
         data: {
           requestId,
+          tokenId: token.id,
           actorId: token.actor.id,
           dc,
         },
@@ -118,12 +120,7 @@ export class ChronoballFumble {
   static async performSaveLocal(actor, saveType, dc) {
     let roll;
     try {
-      const rolls = await actor.rollSavingThrow(
-        { ability: saveType, targetValue: dc },
-        {}, // Show dialog for roll configuration
-        { create: false }
-      );
-      roll = rolls?.[0] || null;
+      roll = await ChronoballSystem.adapter.rollSave(actor, saveType, dc);
     } catch (error) {
       roll = await new Roll('1d20').evaluate();
     }
@@ -134,12 +131,7 @@ export class ChronoballFumble {
       if (modification.reroll) {
         let newRoll;
         try {
-          const newRolls = await actor.rollSavingThrow(
-            { ability: saveType, targetValue: dc },
-            {}, // Show dialog for roll configuration
-            { create: false }
-          );
-          newRoll = newRolls?.[0] || null;
+          newRoll = await ChronoballSystem.adapter.rollSave(actor, saveType, dc);
         } catch (error) {
           newRoll = await new Roll('1d20').evaluate();
         }
@@ -157,13 +149,13 @@ export class ChronoballFumble {
 
     return {
       roll,
-      success: roll.total >= dc
+      success: ChronoballSystem.adapter.isSuccess(roll, dc)
     };
   }
 
   static async askForSaveModification(roll, dc) {
     return new Promise((resolve) => {
-      const successText = roll.total >= dc ?
+      const successText = ChronoballSystem.adapter.isSuccess(roll, dc) ?
         `<span style="color: #4CAF50; font-weight: bold;">${game.i18n.localize('CHRONOBALL.Chat.Success')}</span>` :
         `<span style="color: #f44336; font-weight: bold;">${game.i18n.localize('CHRONOBALL.Chat.Failure')}</span>`;
       new Dialog({
@@ -197,12 +189,12 @@ export class ChronoballFumble {
   }
 
   static async handleFumbleSaveRequest(data) {
-    const { requestId, actorId, dc } = data.data;
+    const { requestId, tokenId, actorId, dc } = data.data;
     ChronoballUtils.log(`Chronoball | [Player] Received fumble save request ${requestId} for actor ${actorId} with DC ${dc}.`);
-    const actor = game.actors.get(actorId);
+    const actor = canvas.tokens.get(tokenId)?.actor ?? game.actors.get(actorId);
     if (!actor) return;
 
-    const saveResult = await this.performSaveLocal(actor, 'con', dc);
+    const saveResult = await this.performSaveLocal(actor, ChronoballSystem.adapter.getFumbleSaveType(), dc);
     if (saveResult) {
       const resultData = {
         requestId,
@@ -7,6 +7,10 @@ import { ChronoballSocket } from './socket.js';
 import { ChronoballChat } from './chat.js';
 import { ChronoballUtils } from './utils.js';
 import { ChronoballBall } from './ball.js';
+import { ChronoballMatchLog } from './match-log.js';
+import { ChronoballStats } from './stats.js';
+import { ChronoballSystem } from './system.js';
+import { ChronoballFlight } from './flight.js';
 
 export class ChronoballInterception {
   static pendingInterceptions = new Map();
@@ -20,10 +24,10 @@ export class ChronoballInterception {
    * Check for possible interceptions at thrower
    * Returns true if intercepted, false if throw can continue
    */
-  static async checkInterceptionAtThrower(thrower) {
+  static async checkInterceptionAtThrower(thrower, style = ChronoballState.getThrowStyle('standard')) {
     const rules = ChronoballState.getRules();
     
-    if (!rules.interceptOnThrow) return false;
+    if (!style.interceptAtThrower) return false;
     
     const defenders = this.findDefendersNearToken(thrower, rules.interceptRadius);
     
@@ -57,14 +61,60 @@ export class ChronoballInterception {
     return false; // No successful interception
   }
   
+  /**
+   * Check for possible interceptions along the flight path (if the rules or the throw style
+   * allow it), nearest to the thrower first. Defenders within pathInterceptRadius of the
+   * path up to the first wall are asked, except those who already get their chance at
+   * the thrower or at the receiver. The thrower makes the save.
+   * Returns true if intercepted, false if throw can continue
+   */
+  static async checkInterceptionAlongPath(thrower, destination, style, receiver = null) {
+    const rules = ChronoballState.getRules();
+    
+    if (!style.interceptAlongPath) return false;
+    
+    const excluded = new Set();
+    if (style.interceptAtThrower) this.findDefendersNearToken(thrower, rules.interceptRadius).forEach(d => excluded.add(d.id));
+    if (receiver && style.interceptAtReceiver) this.findDefendersNearToken(receiver, rules.interceptRadius).forEach(d => excluded.add(d.id));
+    
+    // Defenders behind a wall that stops the ball cannot reach it
+    const end = ChronoballFlight.getWallCollision(thrower.center, destination, rules) ?? destination;
+    const defenders = this.findDefendersAlongPath(thrower, end, rules.pathInterceptRadius ?? 5)
+      .filter(defender => !excluded.has(defender.id));
+    
+    if (defenders.length === 0) return false;
+    
+    ChronoballUtils.log(`Chronoball | ${defenders.length} defender(s) in range along the path`);
+    
+    for (const defender of defenders) {
+      const ownerUser = this.getTokenOwner(defender);
+      if (!ownerUser) {
+        ChronoballUtils.log(`Chronoball | No owner found for ${defender.name}`);
+        continue;
+      }
+      
+      const accepted = await this.askInterceptionDecisionForOwner(defender, ownerUser, rules.interceptTimeout, 'along the path');
+      
+      if (accepted) {
+        const intercepted = await this.resolveInterceptionAtThrower(thrower, defender, 'path');
+        
+        if (intercepted) {
+          return true; // Interception successful, stop throw
+        }
+      }
+    }
+    
+    return false; // No successful interception
+  }
+  
   /**
    * Check for possible interceptions at receiver (only for passes)
    * Returns true if intercepted, false if receiver gets ball
    */
-  static async checkInterceptionAtReceiver(receiver, thrower) {
+  static async checkInterceptionAtReceiver(receiver, thrower, style = ChronoballState.getThrowStyle('standard')) {
     const rules = ChronoballState.getRules();
     
-    if (!rules.blockAtReceiver) return false;
+    if (!style.interceptAtReceiver) return false;
     
     const defenders = this.findDefendersNearToken(receiver, rules.interceptRadius);
     
@@ -104,16 +154,16 @@ export class ChronoballInterception {
    */
   static findDefendersNearToken(token, radius) {
     const state = ChronoballState.getMatchState();
-    const defendingTeam = state.defendingTeam;
     
     const defenders = [];
     
     for (const potentialDefender of canvas.tokens.placeables) {
       if (potentialDefender.id === token.id) continue;
       
-      // Check if token is on defending team
-      const actorTeam = ChronoballState.getTeamAssignment(potentialDefender.actor.id);
-      if (actorTeam !== defendingTeam) continue;
+      // Check if token is on a defending team (any team without the ball)
+      const actorTeam = ChronoballState.getTeamAssignment(potentialDefender.id);
+      if (!ChronoballState.isDefendingTeam(actorTeam, state)) continue;
+      if (ChronoballState.isBenched(potentialDefender.id)) continue;
       
       // Check if within radius
       const distance = ChronoballUtils.calculateDistance(token, potentialDefender);
@@ -126,6 +176,34 @@ export class ChronoballInterception {
     return defenders;
   }
   
+  /**
+   * Find defenders within radius (feet) of the straight line from a token to a canvas
+   * point, ordered along the path from the thrower
+   */
+  static findDefendersAlongPath(thrower, destination, radius) {
+    const state = ChronoballState.getMatchState();
+    const origin = thrower.center;
+    const radiusPixels = (radius / canvas.grid.distance) * canvas.grid.size;
+    
+    const defenders = [];
+    
+    for (const potentialDefender of canvas.tokens.placeables) {
+      if (potentialDefender.id === thrower.id) continue;
+      
+      const actorTeam = ChronoballState.getTeamAssignment(potentialDefender.id);
+      if (!ChronoballState.isDefendingTeam(actorTeam, state)) continue;
+      if (ChronoballState.isBenched(potentialDefender.id)) continue;
+      
+      const center = potentialDefender.center;
+      const closest = foundry.utils.closestPointToSegment(center, origin, destination);
+      if (Math.hypot(center.x - closest.x, center.y - closest.y) > radiusPixels) continue;
+      
+      defenders.push({ token: potentialDefender, along: Math.hypot(closest.x - origin.x, closest.y - origin.y) });
+    }
+    
+    return defenders.sort((a, b) => a.along - b.along).map(d => d.token);
+  }
+  
   /**
    * Get the owner/controller of a token
    */
@@ -144,34 +222,17 @@ export class ChronoballInterception {
   }
   
   /**
-   * Calculate interception DC based on interceptor's stats
-   * DC = 8 + higher of (STR or DEX) modifier + Proficiency Bonus
+   * Calculate interception DC based on interceptor's stats, as the system adapter defines it
+   * (D&D 5e: 8 + higher of STR or DEX modifier + Proficiency Bonus)
    */
   static calculateInterceptionDC(interceptor) {
-    const actor = interceptor.actor;
-    
-    // Get STR and DEX modifiers
-    const strMod = actor.system.abilities?.str?.mod || 0;
-    const dexMod = actor.system.abilities?.dex?.mod || 0;
-    
-    // Use higher modifier
-    const abilityMod = Math.max(strMod, dexMod);
-    
-    // Get proficiency bonus
-    const profBonus = actor.system.attributes?.prof || 0;
-    
-    // Calculate DC: 8 + ability mod + proficiency
-    const dc = 8 + abilityMod + profBonus;
-    
-    ChronoballUtils.log(`Chronoball | Interception DC for ${interceptor.name}: 8 + ${abilityMod} (ability) + ${profBonus} (prof) = ${dc}`);
-    
-    return dc;
+    return ChronoballSystem.adapter.getInterceptionDC(interceptor.actor);
   }
   
   /**
-   * Resolve interception at thrower
+   * Resolve interception at thrower, or along the flight path (location 'path')
    */
-  static async resolveInterceptionAtThrower(thrower, interceptor) {
+  static async resolveInterceptionAtThrower(thrower, interceptor, location = 'thrower') {
     // Calculate DC automatically from interceptor's stats
     const dc = this.calculateInterceptionDC(interceptor);
     
@@ -186,28 +247,41 @@ export class ChronoballInterception {
     if (saveResult === null) return false; // Cancelled
     
     // Create chat message
-    await this.createInterceptionChatMessage(thrower, interceptor, dc, saveResult.roll.total, saveResult.success, 'thrower');
+    await this.createInterceptionChatMessage(thrower, interceptor, dc, saveResult.roll.total, saveResult.success, location);
+    
+    const play = ChronoballMatchLog.beginPlay('interception', [thrower.id, interceptor.id]);
+    try {
+      const logDetails = { actorName: interceptor.name, tokenId: interceptor.id, targetName: thrower.name, dc, roll: saveResult.roll.total, location };
     
-    if (!saveResult.success) {
-      // Interception successful - TURNOVER!
-      const state = ChronoballState.getMatchState();
+      if (!saveResult.success) {
+        // Interception successful - TURNOVER!
+        const state = ChronoballState.getMatchState();
       
-      // Get interceptor's team
-      const interceptorTeam = ChronoballState.getTeamAssignment(interceptor.actor.id);
-      const teamName = interceptorTeam === 'A' ? state.teamAName : state.teamBName;
+        // Get interceptor's team
+        const interceptorTeam = ChronoballState.getTeamAssignment(interceptor.id);
+        const teamName = ChronoballState.getTeamName(interceptorTeam, state);
       
-      // Create turnover chat message
-      await ChronoballBall.createTurnoverChatMessage(interceptor, teamName, 'interception');
+        // Create turnover chat message
+        await ChronoballBall.createTurnoverChatMessage(interceptor, teamName, 'interception');
       
-      // End phase immediately (ball will spawn in new attacking zone)
-      await ChronoballState.endPhase();
+        await ChronoballStats.record(interceptor.id, { interceptions: 1 });
+        await ChronoballStats.record(thrower.id, { turnovers: 1 });
       
-      ui.notifications.info(`${interceptor.name} intercepted the ball at thrower! Turnover!`);
-      return true;
-    } else {
-      // Save successful - throw continues
-      ui.notifications.info(`${thrower.name} evaded the interception attempt!`);
-      return false;
+        // End phase immediately (ball will spawn in new attacking zone)
+        await ChronoballState.endPhase();
+      
+        await ChronoballMatchLog.endPlay(play, { ...logDetails, success: true });
+        ui.notifications.info(`${interceptor.name} intercepted the ball ${location === 'path' ? 'in flight' : 'at thrower'}! Turnover!`);
+        return true;
+      } else {
+        // Save successful - throw continues
+        await ChronoballMatchLog.endPlay(play, { ...logDetails, success: false });
+        ui.notifications.info(`${thrower.name} evaded the interception attempt!`);
+        return false;
+      }
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: interceptor.name, tokenId: interceptor.id, aborted: true });
+      throw error;
     }
   }
   
@@ -256,26 +330,39 @@ export class ChronoballInterception {
     // Create chat message
     await this.createInterceptionChatMessage(receiver, interceptor, dc, saveResult.roll.total, saveResult.success, 'receiver');
     
-    if (!saveResult.success) {
-      // Interception successful - TURNOVER!
-      const state = ChronoballState.getMatchState();
+    const play = ChronoballMatchLog.beginPlay('interception', [receiver.id, interceptor.id]);
+    try {
+      const logDetails = { actorName: interceptor.name, tokenId: interceptor.id, targetName: receiver.name, dc, roll: saveResult.roll.total, location: 'receiver' };
+    
+      if (!saveResult.success) {
+        // Interception successful - TURNOVER!
+        const state = ChronoballState.getMatchState();
       
-      // Get interceptor's team
-      const interceptorTeam = ChronoballState.getTeamAssignment(interceptor.actor.id);
-      const teamName = interceptorTeam === 'A' ? state.teamAName : state.teamBName;
+        // Get interceptor's team
+        const interceptorTeam = ChronoballState.getTeamAssignment(interceptor.id);
+        const teamName = ChronoballState.getTeamName(interceptorTeam, state);
       
-      // Create turnover chat message
-      await ChronoballBall.createTurnoverChatMessage(interceptor, teamName, 'interception');
+        // Create turnover chat message
+        await ChronoballBall.createTurnoverChatMessage(interceptor, teamName, 'interception');
       
-      // End phase immediately (ball will spawn in new attacking zone)
-      await ChronoballState.endPhase();
+        await ChronoballStats.record(interceptor.id, { interceptions: 1 });
+        await ChronoballStats.record(thrower.id, { turnovers: 1 });
       
-      ui.notifications.info(`${interceptor.name} intercepted the ball at receiver! Turnover!`);
-      return true;
-    } else {
-      // Save successful - receiver gets ball normally
-      ui.notifications.info(`${receiver.name} secured the catch!`);
-      return false;
+        // End phase immediately (ball will spawn in new attacking zone)
+        await ChronoballState.endPhase();
+      
+        await ChronoballMatchLog.endPlay(play, { ...logDetails, success: true });
+        ui.notifications.info(`${interceptor.name} intercepted the ball at receiver! Turnover!`);
+        return true;
+      } else {
+        // Save successful - receiver gets ball normally
+        await ChronoballMatchLog.endPlay(play, { ...logDetails, success: false });
+        ui.notifications.info(`${receiver.name} secured the catch!`);
+        return false;
+      }
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { actorName: interceptor.name, tokenId: interceptor.id, aborted: true });
+      throw error;
     }
   }
   
@@ -404,14 +491,18 @@ export class ChronoballInterception {
   }
   
   /**
-   * Ask for save type (STR or DEX) - with proper socket handling
+   * Ask for save type (e.g. STR or DEX) - with proper socket handling
    */
   static async askForSaveType(token, dc, role) {
+    const saveTypes = ChronoballSystem.adapter.getSaveTypes();
+    const defaultSaveType = ChronoballSystem.adapter.getDefaultSaveType();
+    if (saveTypes.length === 1) return saveTypes[0].id;
+
     const ownerUser = this.getTokenOwner(token);
     
     if (!ownerUser) {
-      console.warn(`Chronoball | No owner found for ${token.name}, defaulting to DEX`);
-      return 'dex';
+      console.warn(`Chronoball | No owner found for ${token.name}, defaulting to ${defaultSaveType}`);
+      return defaultSaveType;
     }
     
     ChronoballUtils.log(`Chronoball | Asking save type from ${ownerUser.name} for token ${token.name}`);
@@ -441,15 +532,15 @@ export class ChronoballInterception {
           if (this.pendingInterceptions.has(requestId)) {
             ChronoballUtils.log(`Chronoball | Save type request ${requestId} timed out`);
             this.pendingInterceptions.delete(requestId);
-            resolve('dex'); // Default to DEX
+            resolve(defaultSaveType);
           }
         }, 30000);
       });
     }
     
     // Fallback
-    console.warn('Chronoball | Neither owner nor GM, defaulting to DEX');
-    return 'dex';
+    console.warn(`Chronoball | Neither owner nor GM, defaulting to ${defaultSaveType}`);
+    return defaultSaveType;
   }
   
   /**
@@ -465,20 +556,13 @@ export class ChronoballInterception {
           <p style="font-weight: bold; color: #f44336;">DC: ${dc}</p>
         `,
         buttons: {
-          str: {
-            label: 'STR Save',
-            callback: () => {
-              ChronoballUtils.log(`Chronoball | STR Save selected by ${tokenName}`);
-              resolve('str');
-            }
-          },
-          dex: {
-            label: 'DEX Save',
+          ...Object.fromEntries(ChronoballSystem.adapter.getSaveTypes().map(saveType => [saveType.id, {
+            label: saveType.label,
             callback: () => {
-              ChronoballUtils.log(`Chronoball | DEX Save selected by ${tokenName}`);
-              resolve('dex');
+              ChronoballUtils.log(`Chronoball | ${saveType.label} selected by ${tokenName}`);
+              resolve(saveType.id);
             }
-          },
+          }])),
           cancel: {
             label: 'Cancel',
             callback: () => {
@@ -487,7 +571,7 @@ export class ChronoballInterception {
             }
           }
         },
-        default: 'dex',
+        default: ChronoballSystem.adapter.getDefaultSaveType(),
         close: () => {
           ChronoballUtils.log(`Chronoball | Save type dialog closed by ${tokenName}`);
           resolve(null);
@@ -563,17 +647,7 @@ export class ChronoballInterception {
     
     const performRealRoll = async () => {
         try {
-            if (actor.system.abilities && actor.system.abilities[saveType]) {
-                // CORRECT (V12+) API: rollAbilitySave(config, dialog, message)
-                const config = { ability: saveType, targetValue: dc };
-                const dialog = {};
-                const message = { create: false };
-                const rolls = await actor.rollSavingThrow({ ability: saveType, targetValue: dc }, {}, { create: false });
-                return rolls?.[0] || null;
-            } else {
-                // Fallback for non-dnd5e actors
-                return new Roll('1d20').evaluate({ async: true });
-            }
+            return await ChronoballSystem.adapter.rollSave(actor, saveType, dc);
         } catch (error) {
             console.warn('Chronoball | Save roll error, using fallback 1d20:', error);
             return new Roll('1d20').evaluate({ async: true });
@@ -622,7 +696,7 @@ export class ChronoballInterception {
     
     return {
       roll,
-      success: roll.total >= dc
+      success: ChronoballSystem.adapter.isSuccess(roll, dc)
     };
   }
   
@@ -701,12 +775,12 @@ export class ChronoballInterception {
    * Handle save roll request from GM
    */
   static async handleSaveRollRequest(data) {
-    const { requestId, actorId, tokenName, saveType, dc } = data;
+    const { requestId, tokenId, actorId, tokenName, saveType, dc } = data;
     
     ChronoballUtils.log(`Chronoball | Player received save roll request for ${tokenName}, saveType: ${saveType}, DC: ${dc}`);
     
-    // Get the actor
-    const actor = game.actors.get(actorId);
+    // Get the actor (through the token, so unlinked tokens roll with their own data)
+    const actor = canvas.tokens.get(tokenId)?.actor ?? game.actors.get(actorId);
     if (!actor) {
       console.error(`Chronoball | Actor ${actorId} not found`);
       game.socket.emit('module.chronoball', {
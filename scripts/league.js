@@ -0,0 +1,239 @@
+/**
+ * ChronoballLeague - World-level league store: teams, match results and standings
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballLeague {
+  static SETTING = 'league';
+  static POINTS_WIN = 3;
+  static POINTS_DRAW = 1;
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | League initialized');
+  }
+
+  /**
+   * Register the hidden world setting that holds the league
+   */
+  static registerSettings() {
+    game.settings.register('chronoball', this.SETTING, {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: this.getDefaultLeague()
+    });
+  }
+
+  static getDefaultLeague() {
+    return {
+      version: 1,
+      season: 1,
+      teams: {},
+      matches: []
+    };
+  }
+
+  static getLeague() {
+    const league = game.settings.get('chronoball', this.SETTING);
+    return foundry.utils.mergeObject(this.getDefaultLeague(), league || {}, { inplace: false });
+  }
+
+  static async saveLeague(league) {
+    await game.settings.set('chronoball', this.SETTING, league);
+    Hooks.callAll('chronoball.leagueChanged', league);
+  }
+
+  /**
+   * Find a team by name (case-insensitive) or add it to the league
+   */
+  static getOrCreateTeam(league, name) {
+    const key = name.trim().toLowerCase();
+    const existing = Object.values(league.teams).find(t => t.name.trim().toLowerCase() === key);
+    if (existing) return existing;
+
+    const team = { id: foundry.utils.randomID(), name: name.trim() };
+    league.teams[team.id] = team;
+    return team;
+  }
+
+  /**
+   * Record the result of a finished match (GM only).
+   * Matches that never got going (no phase played, no score) and free-for-all
+   * matches are not recorded.
+   */
+  static async recordMatch(state, winner, reason = null) {
+    if (!game.user.isGM) return null;
+
+    const played = state.phase > 1 || state.teamAScore > 0 || state.teamBScore > 0;
+    if (!played) {
+      ChronoballUtils.log('Chronoball | Match not played, not recorded in league');
+      return null;
+    }
+
+    // The league table only knows head-to-head results
+    if (ChronoballState.getTeams().length > 2) {
+      ChronoballUtils.log('Chronoball | Free-for-all match, not recorded in league');
+      return null;
+    }
+
+    const league = this.getLeague();
+    const teamA = this.getOrCreateTeam(league, state.teamAName);
+    const teamB = this.getOrCreateTeam(league, state.teamBName);
+
+    const result = {
+      id: foundry.utils.randomID(),
+      season: league.season,
+      date: Date.now(),
+      scene: canvas.scene?.name || '',
+      teamA: { id: teamA.id, score: state.teamAScore },
+      teamB: { id: teamB.id, score: state.teamBScore },
+      winner: winner === 'A' ? teamA.id : winner === 'B' ? teamB.id : null,
+      reason
+    };
+
+    league.matches.push(result);
+    await this.saveLeague(league);
+
+    ChronoballUtils.log('Chronoball | Match recorded in league:', result);
+    return result;
+  }
+
+  /**
+   * Remove a recorded match (GM only)
+   */
+  static async deleteMatch(matchId) {
+    if (!game.user.isGM) return;
+
+    const league = this.getLeague();
+    league.matches = league.matches.filter(m => m.id !== matchId);
+    await this.saveLeague(league);
+  }
+
+  /**
+   * Start a new season. Results of earlier seasons are kept as history.
+   */
+  static async startNewSeason() {
+    if (!game.user.isGM) return;
+
+    const league = this.getLeague();
+    league.season += 1;
+    await this.saveLeague(league);
+  }
+
+  /**
+   * Get all seasons that have results, plus the current one
+   */
+  static getSeasons(league = this.getLeague()) {
+    const seasons = new Set(league.matches.map(m => m.season));
+    seasons.add(league.season);
+    return [...seasons].sort((a, b) => a - b);
+  }
+
+  /**
+   * Compute the standings table of a season, best team first
+   */
+  static getStandings(season, league = this.getLeague()) {
+    const rows = {};
+    const getRow = (teamId) => {
+      if (!rows[teamId]) {
+        rows[teamId] = {
+          teamId,
+          name: league.teams[teamId]?.name || '?',
+          played: 0,
+          won: 0,
+          drawn: 0,
+          lost: 0,
+          pointsFor: 0,
+          pointsAgainst: 0,
+          diff: 0,
+          leaguePoints: 0
+        };
+      }
+      return rows[teamId];
+    };
+
+    for (const match of league.matches.filter(m => m.season === season)) {
+      const sides = [[match.teamA, match.teamB], [match.teamB, match.teamA]];
+      for (const [own, other] of sides) {
+        const row = getRow(own.id);
+        row.played++;
+        row.pointsFor += own.score;
+        row.pointsAgainst += other.score;
+        row.diff = row.pointsFor - row.pointsAgainst;
+
+        if (!match.winner) {
+          row.drawn++;
+          row.leaguePoints += this.POINTS_DRAW;
+        } else if (match.winner === own.id) {
+          row.won++;
+          row.leaguePoints += this.POINTS_WIN;
+        } else {
+          row.lost++;
+        }
+      }
+    }
+
+    return Object.values(rows).sort((a, b) =>
+      b.leaguePoints - a.leaguePoints || b.diff - a.diff || b.pointsFor - a.pointsFor || a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Get the match results of a season, newest first, with team names resolved
+   */
+  static getMatchHistory(season, league = this.getLeague()) {
+    return league.matches
+      .filter(m => m.season === season)
+      .sort((a, b) => b.date - a.date)
+      .map(m => ({
+        ...m,
+        dateText: new Date(m.date).toLocaleDateString(),
+        teamAName: league.teams[m.teamA.id]?.name || '?',
+        teamBName: league.teams[m.teamB.id]?.name || '?'
+      }));
+  }
+
+  /**
+   * Download the league as JSON
+   */
+  static exportToJSON() {
+    const data = JSON.stringify(this.getLeague(), null, 2);
+    saveDataToFile(data, 'application/json', `chronoball-league-${Date.now()}.json`);
+  }
+
+  /**
+   * Check that imported data looks like a league
+   */
+  static validateLeague(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (typeof data.teams !== 'object' || !Array.isArray(data.matches)) return false;
+    return data.matches.every(m => m.teamA?.id && m.teamB?.id && Number.isFinite(m.season));
+  }
+
+  /**
+   * Replace the league with the contents of a JSON file (GM only)
+   */
+  static async importFromJSON(file) {
+    if (!game.user.isGM) return false;
+
+    let data;
+    try {
+      data = JSON.parse(await readTextFromFile(file));
+    } catch (error) {
+      console.error('Chronoball | Could not read league file:', error);
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.InvalidLeagueFile'));
+      return false;
+    }
+
+    if (!this.validateLeague(data)) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.InvalidLeagueFile'));
+      return false;
+    }
+
+    await this.saveLeague(foundry.utils.mergeObject(this.getDefaultLeague(), data, { inplace: false }));
+    ui.notifications.info(game.i18n.localize('CHRONOBALL.Notifications.LeagueImported'));
+    return true;
+  }
+}
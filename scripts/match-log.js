@@ -0,0 +1,403 @@
+/**
+ * ChronoballMatchLog - Structured per-match event log and undo of the last play
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballSocket } from './socket.js';
+import { ChronoballChat } from './chat.js';
+import { ChronoballUtils } from './utils.js';
+import { ChronoballStats } from './stats.js';
+import { ChronoballSystem } from './system.js';
+
+export class ChronoballMatchLog {
+  static FLAG_MATCH_LOG = 'matchLog';
+  static MAX_UNDO_SNAPSHOTS = 10;
+  static activePlay = null;
+  static closed = false;
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Match log initialized');
+  }
+
+  /**
+   * Get the document the log is stored on (same place as the match state)
+   */
+  static getLogDocument() {
+    return game.combat || canvas.scene || null;
+  }
+
+  /**
+   * Get all log entries of the current match
+   */
+  static getEntries() {
+    const doc = this.getLogDocument();
+    if (!doc) return [];
+    return doc.getFlag(ChronoballState.FLAG_SCOPE, this.FLAG_MATCH_LOG) || [];
+  }
+
+  /**
+   * Describe the ball and carrier positions for a log entry
+   */
+  static describePositions() {
+    const ball = ChronoballState.getBallToken();
+    const carrier = ChronoballState.getCarrierToken();
+
+    return {
+      ball: ball ? { x: ball.document.x, y: ball.document.y } : null,
+      carrier: carrier ? { tokenId: carrier.id, name: carrier.name, x: carrier.document.x, y: carrier.document.y } : null
+    };
+  }
+
+  /**
+   * Capture everything needed to restore the match to this moment:
+   * match state, ball position, carrier flags and temp HP of the involved tokens
+   */
+  static captureSnapshot(tokenIds = []) {
+    const state = ChronoballState.getMatchState();
+    const ball = ChronoballState.getBallToken();
+    const ids = new Set([state.carrierId, ...tokenIds].filter(Boolean));
+
+    const tokens = [];
+    for (const id of ids) {
+      const token = canvas.tokens.get(id);
+      if (!token) continue;
+      tokens.push({
+        id,
+        isCarrier: token.document.getFlag(ChronoballState.FLAG_SCOPE, ChronoballState.FLAG_CARRIER) === true,
+        carrierTempHP: token.document.getFlag(ChronoballState.FLAG_SCOPE, 'carrierTempHP') ?? null,
+        prevTempHP: token.document.getFlag(ChronoballState.FLAG_SCOPE, 'prevTempHP') ?? null,
+        tempHP: ChronoballSystem.adapter.getTempHP(token.actor)
+      });
+    }
+
+    return {
+      matchState: foundry.utils.deepClone(state),
+      ball: ball ? { x: ball.document.x, y: ball.document.y } : null,
+      tokens,
+      stats: foundry.utils.deepClone(ChronoballStats.getStats()),
+      positions: this.describePositions()
+    };
+  }
+
+  /**
+   * Start a play. Plays started while another play is running are folded into it
+   * and do not get their own undo snapshot. Callers also end the play (as aborted)
+   * when it throws, so it does not stay active and swallow every later play.
+   */
+  static beginPlay(type, tokenIds = []) {
+    if (this.activePlay) {
+      return { id: this.activePlay.id, type, snapshot: null, nested: true };
+    }
+
+    this.activePlay = {
+      id: foundry.utils.randomID(),
+      type,
+      snapshot: this.captureSnapshot(tokenIds),
+      nested: false
+    };
+    return this.activePlay;
+  }
+
+  /**
+   * Finish a play and write its log entry. Ending a play a second time does nothing.
+   */
+  static async endPlay(play, details = {}) {
+    if (!play || play.ended) return;
+    play.ended = true;
+    if (!play.nested && this.activePlay?.id === play.id) {
+      this.activePlay = null;
+    }
+    await this.record(play.type, details, play);
+  }
+
+  /**
+   * Record a single event. Without a play handle the event is attached to the running play.
+   */
+  static async record(type, details = {}, play = null) {
+    if (this.closed) return;
+    const state = ChronoballState.getMatchState();
+    const snapshot = play?.snapshot ?? null;
+
+    const entry = {
+      ...details,
+      id: foundry.utils.randomID(),
+      playId: play?.id ?? this.activePlay?.id ?? null,
+      type,
+      timestamp: Date.now(),
+      phase: snapshot?.matchState.phase ?? state.phase,
+      before: snapshot?.positions ?? null,
+      after: this.describePositions(),
+      scoreDelta: details.scoreDelta ?? {},
+      snapshot,
+      undone: false
+    };
+
+    ChronoballUtils.log('Chronoball | Match log entry:', entry);
+    await ChronoballSocket.sendToGM('recordMatchEvent', { entry });
+  }
+
+  /**
+   * Stop logging once the match has ended. A score that ends the match runs inside
+   * a throw or pass, and that play must not write into the log after it was cleared.
+   */
+  static close() {
+    if (this.activePlay) this.activePlay.ended = true;
+    this.activePlay = null;
+    this.closed = true;
+  }
+
+  /**
+   * Start logging for a new match
+   */
+  static open() {
+    this.closed = false;
+  }
+
+  /**
+   * Append an entry to the log (GM only, called by socket)
+   */
+  static async appendEntry(entry) {
+    const doc = this.getLogDocument();
+    if (!doc) return;
+
+    const entries = [...this.getEntries(), entry];
+
+    // Only the most recent plays keep their undo snapshot
+    let kept = 0;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (!entries[i].snapshot) continue;
+      if (entries[i].undone || kept >= this.MAX_UNDO_SNAPSHOTS) {
+        entries[i] = { ...entries[i], snapshot: null };
+      } else {
+        kept++;
+      }
+    }
+
+    await doc.setFlag(ChronoballState.FLAG_SCOPE, this.FLAG_MATCH_LOG, entries);
+  }
+
+  /**
+   * Clear the log for a new match
+   */
+  static async clear() {
+    const doc = this.getLogDocument();
+    if (!doc) return;
+    await doc.unsetFlag(ChronoballState.FLAG_SCOPE, this.FLAG_MATCH_LOG);
+  }
+
+  /**
+   * Get the last play that can still be undone
+   */
+  static getLastUndoableEntry() {
+    const entries = this.getEntries();
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].snapshot && !entries[i].undone) return entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * Undo the last play (GM only)
+   */
+  static async undoLastPlay() {
+    if (!game.user.isGM) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoGM'));
+      return;
+    }
+
+    if (!this.getLastUndoableEntry()) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Notifications.NothingToUndo'));
+      return;
+    }
+
+    await ChronoballSocket.executeAsGM('undoLastPlay', {});
+  }
+
+  /**
+   * Restore the snapshot of the last play and mark it as undone (authoritative)
+   */
+  static async executeUndo() {
+    const entry = this.getLastUndoableEntry();
+    if (!entry) return;
+
+    await this.restoreSnapshot(entry.snapshot);
+
+    const entries = this.getEntries().map(e => {
+      const inPlay = e.id === entry.id || (entry.playId && e.playId === entry.playId);
+      return inPlay ? { ...e, undone: true, snapshot: null } : e;
+    });
+    await this.getLogDocument()?.setFlag(ChronoballState.FLAG_SCOPE, this.FLAG_MATCH_LOG, entries);
+
+    await this.createUndoChatMessage(entry);
+    ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.PlayUndone', { play: this.describeEntry(entry) }));
+  }
+
+  /**
+   * Restore match state, ball token, carrier flags and carrier temp HP
+   */
+  static async restoreSnapshot(snapshot) {
+    const rules = ChronoballState.getRules();
+    const sequencerActive = game.modules.get('sequencer')?.active;
+    const ChronoballBall = (await import('./ball.js')).ChronoballBall;
+
+    // A token that became carrier during the play but was not part of it loses its flags
+    const currentCarrier = ChronoballState.getCarrierToken();
+    if (currentCarrier && !snapshot.tokens.some(t => t.id === currentCarrier.id)) {
+      await currentCarrier.document.unsetFlag(ChronoballState.FLAG_SCOPE, ChronoballState.FLAG_CARRIER);
+      await currentCarrier.document.unsetFlag(ChronoballState.FLAG_SCOPE, 'carrierTempHP');
+      await currentCarrier.document.unsetFlag(ChronoballState.FLAG_SCOPE, 'prevTempHP');
+      if (sequencerActive) {
+        await Sequencer.EffectManager.endEffects({ name: `chronoball-aura-${currentCarrier.id}` });
+      }
+    }
+
+    for (const saved of snapshot.tokens) {
+      const token = canvas.tokens.get(saved.id);
+      if (!token) continue;
+
+      if (saved.isCarrier) {
+        await token.document.setFlag(ChronoballState.FLAG_SCOPE, ChronoballState.FLAG_CARRIER, true);
+        await token.document.setFlag(ChronoballState.FLAG_SCOPE, 'carrierTempHP', saved.carrierTempHP ?? 0);
+        await token.document.setFlag(ChronoballState.FLAG_SCOPE, 'prevTempHP', saved.prevTempHP ?? 0);
+      } else {
+        await token.document.unsetFlag(ChronoballState.FLAG_SCOPE, ChronoballState.FLAG_CARRIER);
+        await token.document.unsetFlag(ChronoballState.FLAG_SCOPE, 'carrierTempHP');
+        await token.document.unsetFlag(ChronoballState.FLAG_SCOPE, 'prevTempHP');
+      }
+
+      const actor = token.actor;
+      if (ChronoballSystem.adapter.hasHP(actor) && ChronoballSystem.adapter.getTempHP(actor) !== saved.tempHP) {
+        await ChronoballSystem.adapter.setTempHP(actor, saved.tempHP);
+      }
+
+      if (sequencerActive) {
+        if (saved.isCarrier && rules.carrierAuraSource) {
+          await ChronoballBall.applySequencerAura(token, rules);
+        } else {
+          await Sequencer.EffectManager.endEffects({ name: `chronoball-aura-${token.id}` });
+        }
+      }
+      token.refresh();
+    }
+
+    // Ball token: move it back, recreate it, or remove it if the ball was carried
+    let ballToken = ChronoballState.getBallToken();
+    if (snapshot.ball) {
+      if (ballToken) {
+        await ballToken.document.update({ x: snapshot.ball.x, y: snapshot.ball.y }, { chronoball_internal: true });
+      } else {
+        await ChronoballBall.recreateBallToken(snapshot.ball.x, snapshot.ball.y);
+        ballToken = ChronoballState.getBallToken();
+      }
+    } else if (ballToken) {
+      await ballToken.document.delete();
+      ballToken = null;
+    }
+
+    if (snapshot.stats) {
+      await ChronoballStats.setStats(snapshot.stats);
+    }
+
+    // Match state last, so it points at the live ball token
+    await ChronoballState.updateState({
+      ...snapshot.matchState,
+      ballTokenId: ballToken?.id ?? null,
+      throwInProgress: false
+    });
+
+    ChronoballUtils.log('Chronoball | Snapshot restored:', snapshot);
+  }
+
+  /**
+   * Short human readable description of an entry
+   */
+  static describeEntry(entry) {
+    const type = game.i18n.localize(`CHRONOBALL.MatchLog.Types.${entry.type}`);
+    return entry.actorName ? `${type} (${entry.actorName})` : type;
+  }
+
+  static formatPosition(position) {
+    if (!position) return '—';
+    return `${Math.round(position.x)}, ${Math.round(position.y)}`;
+  }
+
+  /**
+   * Write the log of the current match into a journal entry
+   */
+  static async exportToJournal(state) {
+    const entries = this.getEntries().filter(e => !e.undone);
+    if (entries.length === 0) return null;
+
+    const teams = ChronoballState.getTeams();
+
+    const rows = entries.map(e => `
+      <tr>
+        <td>${e.phase}</td>
+        <td>${this.describeEntry(e)}</td>
+        <td>${e.targetName || ''}</td>
+        <td>${e.dc ?? ''}</td>
+        <td>${e.roll ?? ''}</td>
+        <td>${e.distance ?? ''}</td>
+        <td>${this.formatPosition(e.before?.ball ?? e.before?.carrier)}</td>
+        <td>${this.formatPosition(e.after?.ball ?? e.after?.carrier)}</td>
+        <td>${teams.map(team => e.scoreDelta?.[team] || 0).join(' / ')}</td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <h2>${ChronoballState.formatScoreLine(state)}</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>${game.i18n.localize('CHRONOBALL.MatchLog.Phase')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.MatchLog.Play')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.MatchLog.Target')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Chat.DC')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Chat.Roll')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Chat.Distance')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.MatchLog.Before')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.MatchLog.After')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.MatchLog.ScoreDelta')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    const name = game.i18n.format('CHRONOBALL.MatchLog.JournalName', {
+      teamA: state.teamAName,
+      teamB: state.teamBName,
+      date: new Date().toLocaleString()
+    });
+
+    const journal = await JournalEntry.create({
+      name,
+      pages: [{ name, type: 'text', text: { content } }]
+    });
+
+    ChronoballUtils.log('Chronoball | Match log exported to journal:', journal?.id);
+    return journal;
+  }
+
+  /**
+   * Create undo chat message
+   */
+  static async createUndoChatMessage(entry) {
+    const content = `
+      <div class="chronoball-chat-message turnover">
+        <div class="message-header">
+          <span class="message-icon">↩️</span>
+          <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.UndoTitle')}</span>
+        </div>
+        <div class="message-body">
+          <p>${game.i18n.format('CHRONOBALL.Chat.UndoMessage', { play: this.describeEntry(entry) })}</p>
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * ChronoballMatch - Match end flow and automatic win conditions
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballChat } from './chat.js';
+import { ChronoballUtils } from './utils.js';
+import { ChronoballMatchLog } from './match-log.js';
+import { ChronoballRoster } from './roster.js';
+import { ChronoballStats } from './stats.js';
+import { ChronoballLeague } from './league.js';
+import { ChronoballTournament } from './tournament.js';
+import { ChronoballTeams } from './teams.js';
+
+export class ChronoballMatch {
+  static isEnding = false;
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Match flow initialized');
+  }
+
+  /**
+   * Get the teams sorted by score, leader first
+   */
+  static getRanking(state, rules = ChronoballState.getRules()) {
+    return ChronoballState.getTeams(rules)
+      .map(team => ({ team, score: ChronoballState.getTeamScore(team, state) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Get the leading team, or null on a tie for the lead
+   */
+  static getWinner(state, rules = ChronoballState.getRules()) {
+    const [first, second] = this.getRanking(state, rules);
+    return first.score > second.score ? first.team : null;
+  }
+
+  /**
+   * Decide whether the match is over.
+   * Returns { end: true, reason } to end, { overtime: true } to start sudden death, or null.
+   */
+  static evaluateWinConditions(state, rules) {
+    const [first, second] = this.getRanking(state, rules);
+    const tied = first.score === second.score;
+    const lead = first.score - second.score;
+
+    // In sudden death the first score decides the match
+    if (state.overtime) {
+      return tied ? null : { end: true, reason: 'suddenDeath' };
+    }
+
+    const winScore = Number(rules.winScore) || 0;
+    if (winScore > 0 && !tied && first.score >= winScore) {
+      return { end: true, reason: 'score' };
+    }
+
+    const mercyLead = Number(rules.mercyLead) || 0;
+    if (mercyLead > 0 && lead >= mercyLead) {
+      return { end: true, reason: 'mercy' };
+    }
+
+    let limitReason = null;
+    const maxPhases = Number(rules.maxPhases) || this.getTotalHalfPhases(rules);
+    if (maxPhases > 0 && (state.phase - 1) >= maxPhases) {
+      limitReason = 'phases';
+    }
+
+    const maxRounds = Number(rules.maxRounds) || 0;
+    const round = game.combat?.round || 0;
+    if (!limitReason && maxRounds > 0 && (round - 1) >= maxRounds) {
+      limitReason = 'rounds';
+    }
+
+    if (!limitReason) return null;
+    // Knockout tournament fixtures need a winner, so ties always go to sudden death there
+    if (tied && (rules.suddenDeath || ChronoballTournament.requiresOvertime())) return { overtime: true };
+    return { end: true, reason: limitReason };
+  }
+
+  /**
+   * Total number of phases of a match played in halves (0 if halves are off)
+   */
+  static getTotalHalfPhases(rules) {
+    const halves = Number(rules.halves) || 1;
+    const phasesPerHalf = Number(rules.phasesPerHalf) || 0;
+    return halves > 1 && phasesPerHalf > 0 ? halves * phasesPerHalf : 0;
+  }
+
+  /**
+   * Check whether the phase that just ended closes a half (and is not the last one)
+   */
+  static isHalftimeDue(state, rules) {
+    const total = this.getTotalHalfPhases(rules);
+    if (total === 0 || state.overtime) return false;
+
+    const completedPhases = state.phase - 1;
+    return completedPhases > 0 && completedPhases < total && completedPhases % rules.phasesPerHalf === 0;
+  }
+
+  /**
+   * Start the halftime break: optional heal and short rest, side switch, next half
+   */
+  static async startHalftime() {
+    if (!game.user.isGM) return;
+
+    const state = ChronoballState.getMatchState();
+    const rules = ChronoballState.getRules();
+    const nextHalf = (state.half || 1) + 1;
+
+    if (rules.halftimeHeal) {
+      await ChronoballRoster.healAllRosters();
+    }
+
+    if (rules.halftimeShortRest) {
+      await ChronoballRoster.sendShortRestRequest();
+    }
+
+    await ChronoballState.updateState({
+      half: nextHalf,
+      halftime: true,
+      sidesSwitched: rules.halftimeSwitchSides ? !state.sidesSwitched : state.sidesSwitched
+    });
+
+    // Endzone tints follow the teams to their new sides
+    if (rules.halftimeSwitchSides) {
+      await ChronoballTeams.applyAllTints();
+    }
+
+    await this.createHalftimeChatMessage(state, rules.halftimeSwitchSides);
+    ui.notifications.info(game.i18n.localize('CHRONOBALL.Notifications.Halftime'));
+    ChronoballUtils.log(`Chronoball | Halftime, next half: ${nextHalf}`);
+  }
+
+  /**
+   * End the halftime break and start the next half (GM only)
+   */
+  static async resumeFromHalftime() {
+    if (!game.user.isGM) return;
+
+    const state = ChronoballState.getMatchState();
+    if (!state.halftime) return;
+
+    await ChronoballState.updateState({ halftime: false, ...ChronoballState.getResetAttackedFlags() });
+    await ChronoballRoster.rebuildInitiative(false);
+    await ChronoballState.resetTurnDistances();
+
+    const content = `
+      <div class="chronoball-chat-message">
+        <div class="message-header">
+          <span class="message-icon">▶️</span>
+          <span class="message-title">${game.i18n.format('CHRONOBALL.Chat.HalfStartTitle', { half: state.half })}</span>
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+  }
+
+  /**
+   * Check the configured win conditions and end the match or start overtime.
+   * Returns true if the match was ended.
+   */
+  static async checkWinConditions() {
+    if (!game.user.isGM || this.isEnding) return false;
+
+    const state = ChronoballState.getMatchState();
+    const rules = ChronoballState.getRules();
+    const result = this.evaluateWinConditions(state, rules);
+
+    if (!result) return false;
+
+    if (result.overtime) {
+      await ChronoballState.updateState({ overtime: true });
+      await this.createOvertimeChatMessage();
+      ui.notifications.info(game.i18n.localize('CHRONOBALL.Notifications.SuddenDeath'));
+      return false;
+    }
+
+    ChronoballUtils.log(`Chronoball | Win condition met (${result.reason}), ending match`);
+    await this.endMatch({ reason: result.reason });
+    return true;
+  }
+
+  /**
+   * End the match: announce the final score, export the log and clean up
+   */
+  static async endMatch({ reason = null } = {}) {
+    if (this.isEnding) return;
+    this.isEnding = true;
+
+    try {
+      const state = ChronoballState.getMatchState();
+      const rules = ChronoballState.getRules();
+      const winner = this.getWinner(state, rules);
+
+      // Determine winner
+      let winnerText;
+      let winnerChant = '';
+      if (winner) {
+        const identity = ChronoballTeams.getSideIdentity(winner, state);
+        winnerText = ChronoballTeams.getLogoHTML(identity, 32) + ' '
+          + game.i18n.format('CHRONOBALL.Chat.MatchWinner', { team: ChronoballState.getTeamName(winner, state) });
+        winnerChant = identity?.chant || '';
+      } else {
+        winnerText = game.i18n.localize('CHRONOBALL.Chat.MatchTie');
+      }
+
+      // Every team's name in its colour, with its score
+      const teamScores = ChronoballState.getTeams(rules).map(team =>
+        `<span style="color: ${ChronoballState.getTeamColor(team, rules, state)};">${ChronoballState.getTeamName(team, state)}</span> ${ChronoballState.getTeamScore(team, state)}`
+      );
+
+      const reasonText = reason ? game.i18n.localize(`CHRONOBALL.Chat.EndReason.${reason}`) : '';
+
+      // Create end match chat message
+      const content = `
+        <div class="chronoball-chat-message match-end">
+          <div class="message-header">
+            <span class="message-icon">🏆</span>
+            <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.MatchEndTitle')}</span>
+          </div>
+          <div class="message-body">
+            <h2 style="text-align: center; margin: 10px 0; font-size: 20px;">
+              ${game.i18n.localize('CHRONOBALL.Chat.FinalScore')}
+            </h2>
+            <p style="text-align: center; font-size: 24px;">
+              ${teamScores.join(' · ')}
+            </p>
+            <p style="text-align: center; font-size: 16px; font-weight: bold;">
+              ${winnerText}
+            </p>
+            ${winnerChant ? `<p style="text-align: center; font-style: italic;">“${winnerChant}”</p>` : ''}
+            ${reasonText ? `<p style="text-align: center; font-style: italic;">${reasonText}</p>` : ''}
+          </div>
+        </div>
+      `;
+
+      await ChronoballChat.createMessage({
+        content,
+        speaker: { alias: 'Chronoball' }
+      });
+
+      // Plays still running (the throw that scored) are not logged any more
+      ChronoballMatchLog.close();
+
+      // Persist the event log and box score before the combat (and its flags) is deleted
+      await ChronoballMatchLog.exportToJournal(state);
+      await ChronoballStats.publishBoxScore(state);
+      await ChronoballLeague.recordMatch(state, winner, reason);
+      await ChronoballTournament.recordResult(state, winner);
+
+      // Clear carrier (if exists)
+      const carrier = ChronoballState.getCarrierToken();
+      if (carrier) {
+        const ChronoballBall = (await import('./ball.js')).ChronoballBall;
+        await ChronoballBall.executeClearCarrier();
+        ChronoballUtils.log('Chronoball | Carrier cleared during end match');
+      }
+
+      // Delete ALL Chronoball tokens on the scene
+      const chronoballTokens = canvas.tokens.placeables.filter(t => t.actor?.name === 'Chronoball');
+      for (const token of chronoballTokens) {
+        await token.document.delete();
+        ChronoballUtils.log('Chronoball | Deleted ball token:', token.id);
+      }
+
+      // Give tokens and endzones their colours from before the team identity tints back
+      await ChronoballTeams.restoreTints();
+
+      // Reset match state BEFORE deleting combat (needs combat for state storage)
+      await ChronoballState.resetState();
+      await ChronoballMatchLog.clear();
+      await ChronoballStats.clear();
+      // End combat (this will also clear the state)
+      if (game.combat) {
+        await game.combat.delete();
+      }
+
+      Hooks.callAll('chronoball.matchEnded', { state, winner, reason });
+      ui.notifications.info(game.i18n.localize('CHRONOBALL.Notifications.MatchEnded'));
+    } finally {
+      this.isEnding = false;
+    }
+  }
+
+  /**
+   * Create halftime chat message
+   */
+  static async createHalftimeChatMessage(state, switchedSides) {
+    const content = `
+      <div class="chronoball-chat-message">
+        <div class="message-header">
+          <span class="message-icon">⏸️</span>
+          <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.HalftimeTitle')}</span>
+        </div>
+        <div class="message-body">
+          <p style="text-align: center; font-size: 18px;">
+            ${ChronoballState.formatScoreLine(state)}
+          </p>
+          ${switchedSides ? `<p style="text-align: center;">${game.i18n.localize('CHRONOBALL.Chat.SidesSwitched')}</p>` : ''}
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+  }
+
+  /**
+   * Create sudden death chat message
+   */
+  static async createOvertimeChatMessage() {
+    const content = `
+      <div class="chronoball-chat-message turnover">
+        <div class="message-header">
+          <span class="message-icon">⏱️</span>
+          <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.SuddenDeathTitle')}</span>
+        </div>
+        <div class="message-body">
+          <p style="text-align: center; font-weight: bold;">${game.i18n.localize('CHRONOBALL.Chat.SuddenDeathMessage')}</p>
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * ChronoballPresets - World-level named rule sets that can be applied to any scene
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballPresets {
+  static SETTING = 'rulePresets';
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Rule presets initialized');
+  }
+
+  /**
+   * Register the hidden world setting that holds the presets
+   */
+  static registerSettings() {
+    game.settings.register('chronoball', this.SETTING, {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {}
+    });
+  }
+
+  /**
+   * Rules that belong to the arena, not to the rule set: presets neither store nor apply them
+   */
+  static getSceneKeys() {
+    return [...ChronoballState.TEAMS.map(team => `zone${team}TileId`), 'fieldZoneId', 'scoringTargets'];
+  }
+
+  /**
+   * Strip the scene-specific rules from a rules object
+   */
+  static getPresetRules(rules) {
+    const presetRules = foundry.utils.deepClone(rules);
+    for (const key of this.getSceneKeys()) delete presetRules[key];
+    return presetRules;
+  }
+
+  static getPresets() {
+    return game.settings.get('chronoball', this.SETTING) || {};
+  }
+
+  /**
+   * Get all presets sorted by name
+   */
+  static getPresetList() {
+    return Object.values(this.getPresets()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static getPreset(id) {
+    if (!id) return null;
+    return this.getPresets()[id] ?? null;
+  }
+
+  static async savePresets(presets) {
+    await game.settings.set('chronoball', this.SETTING, presets);
+    Hooks.callAll('chronoball.presetsChanged', presets);
+  }
+
+  /**
+   * Save rules under a name (GM only). A preset with the same name is overwritten.
+   */
+  static async savePreset(name, rules = ChronoballState.getRules()) {
+    if (!game.user.isGM) return null;
+
+    const presets = foundry.utils.deepClone(this.getPresets());
+    const key = name.trim().toLowerCase();
+    const existing = Object.values(presets).find(p => p.name.trim().toLowerCase() === key);
+
+    const preset = {
+      id: existing?.id ?? foundry.utils.randomID(),
+      name: name.trim(),
+      updated: Date.now(),
+      rules: this.getPresetRules(rules)
+    };
+
+    presets[preset.id] = preset;
+    await this.savePresets(presets);
+    return preset;
+  }
+
+  static async deletePreset(id) {
+    if (!game.user.isGM) return;
+
+    const presets = foundry.utils.deepClone(this.getPresets());
+    delete presets[id];
+    await this.savePresets(presets);
+  }
+
+  /**
+   * Apply a preset to a scene (GM only). Rules the preset does not know keep their
+   * defaults; the endzone tiles of the scene are kept.
+   */
+  static async applyPreset(id, scene = canvas.scene) {
+    if (!game.user.isGM || !scene) return false;
+
+    const preset = this.getPreset(id);
+    if (!preset) return false;
+
+    const current = ChronoballState.getRules(scene);
+    const sceneRules = Object.fromEntries(this.getSceneKeys().map(key => [key, current[key] ?? '']));
+
+    await scene.setFlag(ChronoballState.FLAG_SCOPE, 'rules', {
+      ...ChronoballState.getDefaultRules(),
+      ...this.getPresetRules(preset.rules),
+      ...sceneRules
+    });
+
+    ChronoballUtils.log(`Chronoball | Preset "${preset.name}" applied to scene ${scene.name}`);
+    return true;
+  }
+
+  /**
+   * Compare a preset with the rules of a scene. Returns the rules that differ.
+   */
+  static diffPreset(id, scene = canvas.scene) {
+    const preset = this.getPreset(id);
+    if (!preset) return [];
+
+    const current = this.getPresetRules(ChronoballState.getRules(scene));
+    const target = { ...this.getPresetRules(ChronoballState.getDefaultRules()), ...this.getPresetRules(preset.rules) };
+    const keys = [...new Set([...Object.keys(current), ...Object.keys(target)])].sort();
+
+    return keys
+      .filter(key => !foundry.utils.objectsEqual({ value: current[key] }, { value: target[key] }))
+      .map(key => ({ key, current: current[key] ?? '', preset: target[key] ?? '' }));
+  }
+
+  /**
+   * Download one preset, or all of them, as JSON
+   */
+  static exportToJSON(id = null) {
+    const presets = id ? [this.getPreset(id)].filter(Boolean) : this.getPresetList();
+    const data = JSON.stringify({ version: 1, presets }, null, 2);
+    const name = presets.length === 1 ? presets[0].name.slugify() : 'all';
+    saveDataToFile(data, 'application/json', `chronoball-rules-${name}.json`);
+  }
+
+  /**
+   * Check that imported data looks like exported presets
+   */
+  static validatePresets(data) {
+    if (!data || !Array.isArray(data.presets)) return false;
+    return data.presets.every(p => typeof p?.name === 'string' && p.name.trim() && p.rules && typeof p.rules === 'object');
+  }
+
+  /**
+   * Add the presets of a JSON file (GM only). Presets with the same name are overwritten.
+   */
+  static async importFromJSON(file) {
+    if (!game.user.isGM) return false;
+
+    let data;
+    try {
+      data = JSON.parse(await readTextFromFile(file));
+    } catch (error) {
+      console.error('Chronoball | Could not read presets file:', error);
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.InvalidPresetFile'));
+      return false;
+    }
+
+    if (!this.validatePresets(data)) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.InvalidPresetFile'));
+      return false;
+    }
+
+    for (const preset of data.presets) {
+      await this.savePreset(preset.name, preset.rules);
+    }
+    ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.PresetsImported', { count: data.presets.length }));
+    return true;
+  }
+}
@@ -4,101 +4,297 @@
 
 import { ChronoballState } from './state.js';
 import { ChronoballChat } from './chat.js';
+import { ChronoballSystem } from './system.js';
 
 export class ChronoballRoster {
-  static MAX_PLAYERS_PER_TEAM = 3;
+  static MAX_PLAYERS_PER_TEAM = 3; // Default team size when the rules don't set one
   
   static initialize() {
     console.log('Chronoball | Roster manager initialized');
   }
   
+  /**
+   * Get the number of players per team on the field
+   */
+  static getTeamSize(rules = ChronoballState.getRules()) {
+    return Math.max(Number(rules.teamSize) || this.MAX_PLAYERS_PER_TEAM, 1);
+  }
+  
   /**
    * Determine teams from endzone tiles
    */
   static async determineTeamsFromEndzones() {
     const rules = ChronoballState.getRules();
     
+    const teams = ChronoballState.getTeams(rules);
+    
     console.log('Chronoball | Rules:', rules);
-    console.log('Chronoball | Zone A:', rules.zoneATileId);
-    console.log('Chronoball | Zone B:', rules.zoneBTileId);
     
-    if (!rules.zoneATileId || !rules.zoneBTileId) {
+    if (!ChronoballState.hasAllZones(rules)) {
       ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoEndzones'));
       return;
     }
     
-    // Extract Tile ID from UUID (format: Scene.xxx.Tile.yyy)
-    const zoneATileIdOnly = rules.zoneATileId.split('.').pop();
-    const zoneBTileIdOnly = rules.zoneBTileId.split('.').pop();
-    
-    const zoneATile = canvas.tiles.get(zoneATileIdOnly);
-    const zoneBTile = canvas.tiles.get(zoneBTileIdOnly);
-    
-    console.log('Chronoball | Zone A Tile ID:', zoneATileIdOnly, 'Tile:', zoneATile);
-    console.log('Chronoball | Zone B Tile ID:', zoneBTileIdOnly, 'Tile:', zoneBTile);
+    const zoneIds = {};
+    for (const team of teams) {
+      zoneIds[team] = rules[`zone${team}TileId`];
+      console.log(`Chronoball | Zone ${team} ID:`, zoneIds[team], 'Zone:', ChronoballState.getZone(zoneIds[team]));
+    }
     
-    if (!zoneATile || !zoneBTile) {
+    if (teams.some(team => !ChronoballState.getZone(zoneIds[team]))) {
       ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoEndzones'));
       return;
     }
     
-    const teamA = [];
-    const teamB = [];
+    const rosters = Object.fromEntries(teams.map(team => [team, []]));
+    const seenPlayers = new Set();
     
-    // Find tokens in each zone
+    // Find tokens in each zone (every unlinked token is its own player)
     for (const token of canvas.tokens.placeables) {
-      if (this.isTokenInTile(token, zoneATile)) {
-        if (teamA.length < this.MAX_PLAYERS_PER_TEAM) {
-          teamA.push(token.actor.id);
-          await ChronoballState.setTeamAssignment(token.actor.id, 'A');
-        }
-      } else if (this.isTokenInTile(token, zoneBTile)) {
-        if (teamB.length < this.MAX_PLAYERS_PER_TEAM) {
-          teamB.push(token.actor.id);
-          await ChronoballState.setTeamAssignment(token.actor.id, 'B');
-        }
-      }
+      if (!token.actor || ChronoballState.isBallToken(token.id)) continue;
+      const team = teams.find(t => ChronoballState.isTokenCenterInZone(token.document, token.x, token.y, zoneIds[t]));
+      const playerId = ChronoballState.getPlayerId(token.document);
+      if (!team || seenPlayers.has(playerId)) continue;
+      seenPlayers.add(playerId);
+      rosters[team].push(token.id);
     }
     
-    if (teamA.length === 0 && teamB.length === 0) {
+    if (teams.every(team => rosters[team].length === 0)) {
       ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.NoPlayersFound'));
       return;
     }
     
-    ui.notifications.info(`Teams determined: Team A (${teamA.length}), Team B (${teamB.length})`);
+    // Players beyond the team size start on the bench
+    for (const team of teams) {
+      await this.assignTeam(team, rosters[team]);
+    }
+    
+    const teamSize = this.getTeamSize(rules);
+    const summary = teams.map(team => {
+      const bench = Math.max(rosters[team].length - teamSize, 0);
+      const fielded = rosters[team].length - bench;
+      return bench > 0 ? `Team ${team} (${fielded} + ${bench} bench)` : `Team ${team} (${fielded})`;
+    }).join(', ');
+    ui.notifications.info(`Teams determined: ${summary}`);
     
-    console.log('Chronoball | Teams:', { teamA, teamB });
+    console.log('Chronoball | Teams:', rosters);
   }
   
   /**
-   * Check if token is within tile bounds
+   * Assign tokens to a team. The first players up to the team size are fielded, the rest are benched.
    */
-  static isTokenInTile(token, tile) {
-    const tokenBounds = token.bounds;
-    const tileBounds = tile.bounds;
-    
-    const tokenCenterX = token.x + (token.w / 2);
-    const tokenCenterY = token.y + (token.h / 2);
-    
-    return (
-      tokenCenterX >= tileBounds.x &&
-      tokenCenterX <= tileBounds.x + tileBounds.width &&
-      tokenCenterY >= tileBounds.y &&
-      tokenCenterY <= tileBounds.y + tileBounds.height
-    );
+  static async assignTeam(team, tokenIds) {
+    const teamSize = this.getTeamSize();
+    for (const [index, tokenId] of tokenIds.entries()) {
+      await ChronoballState.setTeamAssignment(tokenId, team);
+      await ChronoballState.setBenched(tokenId, index >= teamSize);
+    }
   }
   
   /**
-   * Get roster for a team
+   * Assign every token of the given actors on this scene to a team, in the order of the
+   * actor list. Used for rosters that are kept per actor (tournaments, team identities).
+   */
+  static async assignActors(team, actorIds) {
+    const tokenIds = actorIds.flatMap(actorId => canvas.tokens.placeables
+      .filter(t => t.actor?.id === actorId && !ChronoballState.isBallToken(t.id))
+      .map(t => t.id));
+    await this.assignTeam(team, tokenIds);
+  }
+  
+  /**
+   * Get roster for a team (the fielded players, without the bench)
    */
   static getTeamRoster(team) {
-    const actors = ChronoballState.getTeamRoster(team);
-    return actors.slice(0, this.MAX_PLAYERS_PER_TEAM);
+    const tokens = ChronoballState.getTeamRoster(team).filter(token => !ChronoballState.isBenched(token.id));
+    return tokens.slice(0, this.getTeamSize());
+  }
+  
+  /**
+   * Get the bench of a team: benched players plus anyone beyond the team size
+   */
+  static getTeamBench(team) {
+    const fielded = new Set(this.getTeamRoster(team).map(token => token.id));
+    return ChronoballState.getTeamRoster(team).filter(token => !fielded.has(token.id));
+  }
+  
+  /**
+   * Move a token into a team's lineup or onto its bench, at the given position
+   * (end of the list if omitted). Goes through the team assignment socket actions,
+   * so players can manage rosters too.
+   */
+  static async movePlayer(tokenId, team, { benched = false, index = null } = {}) {
+    const token = canvas.tokens.get(tokenId);
+    if (!token?.actor || ChronoballState.isBallToken(tokenId)) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.InvalidTarget'));
+      return false;
+    }
+    
+    // During a running match lineup changes follow the substitution rules
+    if (game.combat?.started && !this.canSubstitute()) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Errors.SubstitutionDuringPlay'));
+      return false;
+    }
+    
+    const list = (benched ? this.getTeamBench(team) : this.getTeamRoster(team)).filter(t => t.id !== tokenId);
+    const position = index === null ? list.length : Math.min(Math.max(index, 0), list.length);
+    list.splice(position, 0, token);
+    
+    // Renumber the whole list so the new order sticks
+    await Promise.all(list.map((t, i) => ChronoballState.setTeamAssignment(t.id, team, canvas.scene.id, i)));
+    // Players listed on the bench are benched explicitly, so they stay behind the lineup
+    await Promise.all((benched ? list : [token]).map(t => ChronoballState.setBenched(t.id, benched)));
+    
+    if (game.user.isGM) await this.syncCombatants();
+    return true;
+  }
+  
+  /**
+   * Take a token off its team
+   */
+  static async removePlayer(tokenId) {
+    if (game.combat?.started && !this.canSubstitute()) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Errors.SubstitutionDuringPlay'));
+      return false;
+    }
+    
+    await ChronoballState.clearTeamAssignment(tokenId);
+    
+    if (game.user.isGM) await this.syncCombatants();
+    return true;
+  }
+  
+  /**
+   * Find the scene token behind drag data. Tokens (canvas, combat tracker, rosters) are
+   * used as they are; for an actor (sidebar) its token on this scene is used, preferring
+   * one that is not on a team yet.
+   */
+  static async getTokenFromDropData(data) {
+    if (data?.type === 'Token') {
+      const tokenDoc = await fromUuid(data.uuid);
+      return tokenDoc?.parent?.id === canvas.scene?.id ? canvas.tokens.get(tokenDoc.id) : null;
+    }
+    
+    if (data?.type === 'Actor') {
+      const actor = await fromUuid(data.uuid);
+      if (!actor) return null;
+      
+      const tokens = canvas.tokens.placeables.filter(t => t.actor?.id === actor.id && !ChronoballState.isBallToken(t.id));
+      const token = tokens.find(t => !ChronoballState.getTeamAssignment(t.id)) ?? tokens[0];
+      if (!token) {
+        ui.notifications.warn(game.i18n.format('CHRONOBALL.Errors.NoTokenOnScene', { name: actor.name }));
+      }
+      return token ?? null;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Substitutions are only allowed between phases: at halftime, or after a phase
+   * change until the new attacking team picks up the ball. A loose ball during a
+   * phase does not count.
+   */
+  static canSubstitute() {
+    const state = ChronoballState.getMatchState();
+    return !!state.betweenPhases || !!state.halftime;
+  }
+  
+  /**
+   * Swap a fielded player with a bench player (GM only). Either side may be
+   * omitted to only bench a player or to fill an open spot.
+   */
+  static async substitute(team, outTokenId = null, inTokenId = null) {
+    if (!game.user.isGM) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.OnlyGMCanSubstitute'));
+      return false;
+    }
+    
+    if (!this.canSubstitute()) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Errors.SubstitutionDuringPlay'));
+      return false;
+    }
+    
+    if (inTokenId && !outTokenId && this.getTeamRoster(team).length >= this.getTeamSize()) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Errors.TeamFull'));
+      return false;
+    }
+    
+    if (outTokenId) await ChronoballState.setBenched(outTokenId, true);
+    if (inTokenId) await ChronoballState.setBenched(inTokenId, false);
+    
+    await this.syncCombatants(inTokenId, outTokenId);
+    
+    const outName = canvas.tokens.get(outTokenId)?.name;
+    const inName = canvas.tokens.get(inTokenId)?.name;
+    let text;
+    if (outName && inName) {
+      text = game.i18n.format('CHRONOBALL.Chat.SubstitutionSwap', { in: inName, out: outName });
+    } else if (inName) {
+      text = game.i18n.format('CHRONOBALL.Chat.SubstitutionIn', { in: inName });
+    } else {
+      text = game.i18n.format('CHRONOBALL.Chat.SubstitutionOut', { out: outName });
+    }
+    
+    const content = `
+      <div class="chronoball-chat-message">
+        <div class="message-header">
+          <span class="message-icon">🔄</span>
+          <span class="message-title">${game.i18n.localize('CHRONOBALL.Chat.SubstitutionTitle')}</span>
+        </div>
+        <div class="message-body">
+          <p><strong>${ChronoballState.getTeamName(team)}:</strong> ${text}</p>
+        </div>
+      </div>
+    `;
+    
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Bring the combat tracker in line with the fielded rosters. Benched players lose
+   * their combatant; a substitute takes over the initiative of the player they replace.
+   */
+  static async syncCombatants(inTokenId = null, outTokenId = null) {
+    const combat = game.combat;
+    if (!combat || combat.scene?.id !== canvas.scene?.id) return;
+    
+    const fielded = this.getAllRosters();
+    const fieldedIds = new Set(fielded.map(token => token.id));
+    const present = new Set(combat.combatants.map(c => c.tokenId));
+    
+    // Only team players are touched, other combatants (referees, hazards...) stay
+    const outgoing = combat.combatants.filter(c =>
+      ChronoballState.getTeamAssignment(c.tokenId) && !fieldedIds.has(c.tokenId)
+    );
+    const replaced = combat.combatants.find(c => c.tokenId === outTokenId);
+    let lowest = Math.min(100, ...combat.combatants.map(c => c.initiative ?? 100));
+    
+    const incoming = fielded
+      .filter(token => !present.has(token.id))
+      .map(token => ({
+        tokenId: token.id,
+        sceneId: canvas.scene.id,
+        actorId: token.document.actorId,
+        initiative: token.id === inTokenId && replaced ? replaced.initiative : --lowest
+      }));
+    
+    if (outgoing.length > 0) {
+      await combat.deleteEmbeddedDocuments('Combatant', outgoing.map(c => c.id));
+    }
+    if (incoming.length > 0) {
+      await combat.createEmbeddedDocuments('Combatant', incoming);
+    }
   }
   
   /**
    * Rebuild initiative order (alternating teams with rolled initiative)
-   * Attacking team goes first, then defending team alternates
+   * Attacking team goes first, then the other teams follow in possession order
    */
   static async rebuildInitiative(reroll = true) {
     await ChronoballState.ensureCombat();
@@ -107,13 +303,14 @@ export class ChronoballRoster {
     if (!combat) return;
     
     const state = ChronoballState.getMatchState();
-    const teamA = this.getTeamRoster('A');
-    const teamB = this.getTeamRoster('B');
+    const rules = ChronoballState.getRules();
     
-    // Determine which team is attacking
+    // Team order: attacking team first, then the rest in possession order
     const attackingTeam = state.attackingTeam;
-    const attackingRoster = attackingTeam === 'A' ? teamA : teamB;
-    const defendingRoster = attackingTeam === 'A' ? teamB : teamA;
+    const teamOrder = [attackingTeam];
+    while (teamOrder.length < ChronoballState.getTeams(rules).length) {
+      teamOrder.push(ChronoballState.getNextTeam(teamOrder[teamOrder.length - 1], rules));
+    }
     
     // Clear existing combatants
     const combatantIds = combat.combatants.map(c => c.id);
@@ -122,27 +319,13 @@ export class ChronoballRoster {
     // Create combatants with temporary initiative
     const combatants = [];
     
-    // Add attacking team
-    for (const actor of attackingRoster) {
-      const token = canvas.tokens.placeables.find(t => t.actor.id === actor.id);
-      if (token) {
+    // Add each team in turn order, one combatant per token
+    for (const team of teamOrder) {
+      for (const token of this.getTeamRoster(team)) {
         combatants.push({
           tokenId: token.id,
           sceneId: canvas.scene.id,
-          actorId: actor.id,
-          initiative: null // Will be rolled
-        });
-      }
-    }
-    
-    // Add defending team
-    for (const actor of defendingRoster) {
-      const token = canvas.tokens.placeables.find(t => t.actor.id === actor.id);
-      if (token) {
-        combatants.push({
-          tokenId: token.id,
-          sceneId: canvas.scene.id,
-          actorId: actor.id,
+          actorId: token.document.actorId,
           initiative: null // Will be rolled
         });
       }
@@ -157,42 +340,24 @@ export class ChronoballRoster {
     const combatantDocs = combat.combatants.contents;
     
     // Separate by team and sort by initiative (highest first)
-    const attackingCombatants = combatantDocs
-      .filter(c => {
-        const actor = game.actors.get(c.actorId);
-        const team = ChronoballState.getTeamAssignment(actor.id);
-        return team === attackingTeam;
-      })
-      .sort((a, b) => b.initiative - a.initiative);
-    
-    const defendingCombatants = combatantDocs
-      .filter(c => {
-        const actor = game.actors.get(c.actorId);
-        const team = ChronoballState.getTeamAssignment(actor.id);
-        return team !== attackingTeam;
-      })
-      .sort((a, b) => b.initiative - a.initiative);
+    const teamCombatants = teamOrder.map(team => combatantDocs
+      .filter(c => ChronoballState.getTeamAssignment(c.tokenId) === team)
+      .sort((a, b) => b.initiative - a.initiative));
     
     // Rebuild with alternating pattern: Attacker, Defender, Attacker, Defender...
+    // (with more teams: Attacker, next team, team after that, ...)
     const newInitiatives = [];
-    const maxLength = Math.max(attackingCombatants.length, defendingCombatants.length);
+    const maxLength = Math.max(...teamCombatants.map(list => list.length));
     
     let currentInit = 100;
     for (let i = 0; i < maxLength; i++) {
-      // Attacker goes first
-      if (i < attackingCombatants.length) {
-        newInitiatives.push({
-          id: attackingCombatants[i].id,
-          initiative: currentInit--
-        });
-      }
-      
-      // Then defender
-      if (i < defendingCombatants.length) {
-        newInitiatives.push({
-          id: defendingCombatants[i].id,
-          initiative: currentInit--
-        });
+      for (const list of teamCombatants) {
+        if (i < list.length) {
+          newInitiatives.push({
+            id: list[i].id,
+            initiative: currentInit--
+          });
+        }
       }
     }
     
@@ -212,12 +377,19 @@ export class ChronoballRoster {
       await combat.update({ turn: 0 });
     }
     
-    const attackingTeamName = attackingTeam === 'A' ? state.teamAName : state.teamBName;
+    const attackingTeamName = ChronoballState.getTeamName(attackingTeam, state);
     ui.notifications.info(`Initiative rolled! ${attackingTeamName} (attacking) goes first.`);
     
     console.log('Chronoball | Initiative rebuilt with rolled values, alternating pattern');
   }
   
+  /**
+   * Get the fielded tokens of every team in play
+   */
+  static getAllRosters() {
+    return ChronoballState.getTeams().flatMap(team => this.getTeamRoster(team));
+  }
+  
   /**
    * Heal all rosters
    */
@@ -228,17 +400,10 @@ export class ChronoballRoster {
       return;
     }
     
-    const teamA = this.getTeamRoster('A');
-    const teamB = this.getTeamRoster('B');
-    
-    const allActors = [...teamA, ...teamB];
+    const allActors = this.getAllRosters().map(token => token.actor).filter(Boolean);
     
     for (const actor of allActors) {
-      const maxHP = actor.system.attributes.hp.max;
-      await actor.update({
-        'system.attributes.hp.value': maxHP,
-        'system.attributes.hp.temp': 0
-      });
+      await ChronoballSystem.adapter.healFull(actor);
     }
     
     ui.notifications.info('All rosters healed');
@@ -254,10 +419,7 @@ export class ChronoballRoster {
       return;
     }
     
-    const teamA = this.getTeamRoster('A');
-    const teamB = this.getTeamRoster('B');
-    
-    const allActors = [...teamA, ...teamB];
+    const allActors = this.getAllRosters().map(token => token.actor).filter(Boolean);
     
     for (const actor of allActors) {
       const effectIds = actor.effects.map(e => e.id);
@@ -273,10 +435,7 @@ export class ChronoballRoster {
    * Send short rest request to players
    */
   static async sendShortRestRequest() {
-    const teamA = this.getTeamRoster('A');
-    const teamB = this.getTeamRoster('B');
-    
-    const allActors = [...teamA, ...teamB];
+    const allActors = this.getAllRosters().map(token => token.actor).filter(Boolean);
     
     const content = `
       <div class="chronoball-chat-message">
@@ -306,46 +465,64 @@ export class ChronoballRoster {
   /**
    * Handle token deletion
    */
-/**
- * Handle token deletion
- */
-static async onTokenDeleted(tokenDoc) {
-  const actorId = tokenDoc.actorId;
-  if (!actorId) return;
+  static async onTokenDeleted(tokenDoc) {
+    const actorId = tokenDoc.actorId;
+    if (!actorId) return;
 
-  // Ignore deletion of the Chronoball (ball) token
-  try {
-    const { ChronoballState } = await import('./state.js');
-    if (ChronoballState.isBallToken(tokenDoc.id)) return;
-  } catch (e) {
-    if ((tokenDoc.name || '').toLowerCase().includes('chronoball')) return;
-  }
+    // Ignore deletion of the Chronoball (ball) token
+    try {
+      const { ChronoballState } = await import('./state.js');
+      if (ChronoballState.isBallToken(tokenDoc.id)) return;
+    } catch (e) {
+      if ((tokenDoc.name || '').toLowerCase().includes('chronoball')) return;
+    }
+
+    // Unlinked tokens carry their own team flags, which are gone with the token
+    if (!tokenDoc.actorLink) return;
 
-  // Clear team assignment if this was the last token for this actor
-  const remainingTokens = canvas.tokens.placeables.filter(t => t.actor?.id === actorId);
-  if (remainingTokens.length === 0) {
-    const { ChronoballState } = await import('./state.js');
-    await ChronoballState.clearTeamAssignment(actorId);
+    // Clear the actor's team assignment if this was the last token for this character
+    const remainingTokens = canvas.tokens.placeables.filter(t => t.actor?.id === actorId);
+    if (remainingTokens.length === 0 && game.user.isGM) {
+      const { ChronoballState } = await import('./state.js');
+      const actor = game.actors.get(actorId);
+      await actor?.unsetFlag(ChronoballState.FLAG_SCOPE, ChronoballState.FLAG_TEAM_ASSIGNMENT);
+      await actor?.unsetFlag(ChronoballState.FLAG_SCOPE, ChronoballState.FLAG_BENCHED);
+    }
   }
-}
+  
   /**
    * Get roster display data
    */
   static getRosterDisplayData() {
-    const teamA = this.getTeamRoster('A');
-    const teamB = this.getTeamRoster('B');
-    
-    return {
-      teamA: teamA.map(actor => ({
-        id: actor.id,
-        name: actor.name,
-        img: actor.img
-      })),
-      teamB: teamB.map(actor => ({
-        id: actor.id,
-        name: actor.name,
-        img: actor.img
-      }))
+    const state = ChronoballState.getMatchState();
+    const rules = ChronoballState.getRules();
+    const toDisplay = (token) => ({
+      id: token.id,
+      actorId: token.document.actorId,
+      name: token.name,
+      img: token.document.texture.src
+    });
+    
+    const teamSize = this.getTeamSize(rules);
+    const teams = ChronoballState.getTeams(rules).map(team => {
+      const players = this.getTeamRoster(team).map(toDisplay);
+      return {
+        id: team,
+        name: ChronoballState.getTeamName(team, state),
+        color: ChronoballState.getTeamColor(team, rules, state),
+        identityId: state[`team${team}Identity`] ?? '',
+        players,
+        bench: this.getTeamBench(team).map(toDisplay),
+        full: players.length >= teamSize
+      };
+    });
+    
+    const data = {
+      teamA: this.getTeamRoster('A').map(toDisplay),
+      teamB: this.getTeamRoster('B').map(toDisplay),
+      teams
     };
+    for (const team of teams) data[`team${team.id}`] = team.players;
+    return data;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,130 @@
+/**
+ * ChronoballScatter - d8 scatter rolls for missed throws and fumbles
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballChat } from './chat.js';
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballScatter {
+  static TEMPLATE_DURATION = 4000;
+
+  // d8 result -> compass direction in canvas degrees (0 = east, clockwise), 1 = north
+  static DIRECTIONS = {
+    1: -90,
+    2: -45,
+    3: 0,
+    4: 45,
+    5: 90,
+    6: 135,
+    7: 180,
+    8: -135
+  };
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Scatter initialized');
+  }
+
+  /**
+   * Roll a d8 direction and the distance formula (in feet).
+   * Returns { directionRoll, distanceRoll, direction, angle, distance } or null
+   * when the formula is empty or invalid.
+   */
+  static async roll(formula) {
+    formula = (formula ?? '').trim();
+    if (!formula) return null;
+
+    let distanceRoll;
+    try {
+      distanceRoll = await new Roll(formula).evaluate();
+    } catch (error) {
+      console.error('Chronoball | Invalid scatter formula:', formula, error);
+      return null;
+    }
+    const directionRoll = await new Roll('1d8').evaluate();
+
+    const direction = directionRoll.total;
+    return {
+      directionRoll,
+      distanceRoll,
+      direction,
+      angle: this.DIRECTIONS[direction],
+      distance: Math.max(0, distanceRoll.total)
+    };
+  }
+
+  /**
+   * Get the canvas point a scatter moves a point to
+   */
+  static getScatterPoint(origin, scatter) {
+    const pixels = (scatter.distance / canvas.grid.distance) * canvas.grid.size;
+    const radians = Math.toRadians(scatter.angle);
+    return {
+      x: origin.x + Math.cos(radians) * pixels,
+      y: origin.y + Math.sin(radians) * pixels
+    };
+  }
+
+  /**
+   * Post the scatter rolls to chat (with Dice So Nice, if active) and show the
+   * deviation as a temporary ray template. The reason is 'throw' or 'fumble'.
+   */
+  static async announce(scatter, origin, landing, reason) {
+    const directionName = game.i18n.localize(`CHRONOBALL.Scatter.Directions.${scatter.direction}`);
+    const content = `
+      <div class="chronoball-chat-message failure">
+        <div class="message-header">
+          <span class="message-icon">🎲</span>
+          <span class="message-title">${game.i18n.localize(reason === 'fumble' ? 'CHRONOBALL.Scatter.FumbleTitle' : 'CHRONOBALL.Scatter.ThrowTitle')}</span>
+        </div>
+        <div class="message-body">
+          <table class="chronoball-stats-table">
+            <tr>
+              <td class="stat-label">${game.i18n.localize('CHRONOBALL.Scatter.Direction')}:</td>
+              <td class="stat-value">${scatter.direction} (${directionName})</td>
+            </tr>
+            <tr>
+              <td class="stat-label">${game.i18n.localize('CHRONOBALL.Chat.Distance')}:</td>
+              <td class="stat-value">${scatter.distance} ft (${scatter.distanceRoll.formula})</td>
+            </tr>
+          </table>
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' },
+      rolls: [scatter.directionRoll, scatter.distanceRoll],
+      sound: CONFIG.sounds.dice
+    });
+
+    await this.showDeviation(origin, landing, ChronoballState.getTeamColor(ChronoballState.getMatchState().attackingTeam));
+  }
+
+  /**
+   * Draw a ray template from where the ball should have come down to where it did,
+   * removed again after a few seconds (GM only)
+   */
+  static async showDeviation(origin, landing, color) {
+    if (!game.user.isGM || !canvas.scene) return;
+
+    const dx = landing.x - origin.x;
+    const dy = landing.y - origin.y;
+    const pixels = Math.hypot(dx, dy);
+    if (pixels < 1) return;
+
+    const [template] = await canvas.scene.createEmbeddedDocuments('MeasuredTemplate', [{
+      t: 'ray',
+      x: origin.x,
+      y: origin.y,
+      direction: Math.toDegrees(Math.atan2(dy, dx)),
+      distance: (pixels / canvas.grid.size) * canvas.grid.distance,
+      width: canvas.grid.distance / 2,
+      fillColor: color,
+      flags: { chronoball: { scatter: true } }
+    }]);
+
+    setTimeout(() => template?.delete(), this.TEMPLATE_DURATION);
+  }
+}
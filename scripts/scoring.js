@@ -5,6 +5,11 @@
 import { ChronoballState } from './state.js';
 import { ChronoballChat } from './chat.js';
 import { ChronoballUtils } from './utils.js';
+import { ChronoballMatchLog } from './match-log.js';
+import { ChronoballStats } from './stats.js';
+import { ChronoballMatch } from './match.js';
+import { ChronoballTeams } from './teams.js';
+import { ChronoballSocket } from './socket.js';
 
 export class ChronoballScoring {
   static SCORE_DEBOUNCE_TIME = 1000; // 1 second
@@ -27,7 +32,7 @@ export class ChronoballScoring {
     const state = ChronoballState.getMatchState();
     const rules = ChronoballState.getRules();
 
-    if (!rules.zoneATileId || !rules.zoneBTileId) {
+    if (!ChronoballState.hasAllZones(rules)) {
       return; // Endzones not configured
     }
 
@@ -52,71 +57,101 @@ export class ChronoballScoring {
       return;
     }
 
-    // Determine which endzone to check based on attacking team
-    const targetZoneId = currentState.attackingTeam === 'A' ? rules.zoneBTileId : rules.zoneATileId;
+    // Check every scoring target of the attacking team against the carrier's current center
+    const target = ChronoballState.getScoringTargetAt(currentToken.document, currentToken.x, currentToken.y, currentState.attackingTeam, 'scoreRunIn', rules, currentState);
 
-    // Check if carrier's center is in the target endzone using current position
-    const inEndzone = ChronoballState.isTokenCenterInTile(currentToken.document, currentToken.x, currentToken.y, targetZoneId);
-
-    if (inEndzone) {
-      const carrierTeam = ChronoballState.getTeamAssignment(tokenDoc.actorId);
-      ChronoballUtils.log(`Chronoball | ${tokenDoc.name} (Team ${carrierTeam}) scored in target zone!`);
-      await this.awardRunInScore(currentState.attackingTeam);
+    if (target) {
+      const carrierTeam = ChronoballState.getTeamAssignment(tokenDoc.id);
+      ChronoballUtils.log(`Chronoball | ${tokenDoc.name} (Team ${carrierTeam}) scored in ${target.name}!`);
+      await this.awardRunInScore(currentState.attackingTeam, tokenDoc.id, target);
     }
   }
   
   /**
-   * Check for throw score (ball lands in endzone without carrier)
+   * A token entered a region with the endzone behavior: check the carrier for a run-in
+   * and a loose ball for a throw score (primary GM only)
    */
-  static async checkThrowScore(ballTokenDoc, x, y) {
+  static async onZoneEntered(regionDoc, tokenDoc) {
+    if (!ChronoballSocket.isPrimaryGM()) return;
+
     const state = ChronoballState.getMatchState();
     const rules = ChronoballState.getRules();
+    const targets = ChronoballState.getScoringTargets(state.attackingTeam, rules, state);
+    if (!targets.some(target => ChronoballState.getZone(target.zoneId) === regionDoc)) return;
 
-    if (!rules.zoneATileId || !rules.zoneBTileId) {
-      return;
+    if (state.carrierId === tokenDoc.id) {
+      await this.checkRunInScore(tokenDoc, tokenDoc.x, tokenDoc.y);
+    } else if (state.ballTokenId === tokenDoc.id) {
+      if (state.throwInProgress) {
+        ChronoballUtils.log('Chronoball | Ball entered endzone region but throwInProgress is true, skipping auto-scoring');
+        return;
+      }
+      await this.checkThrowScore(tokenDoc, tokenDoc.x, tokenDoc.y);
+    }
+  }
+
+  /**
+   * Check for throw score (ball lands in endzone without carrier). Returns true if it scored.
+   */
+  static async checkThrowScore(ballTokenDoc, x, y, throwerTokenId = null, distance = null) {
+    const state = ChronoballState.getMatchState();
+    const rules = ChronoballState.getRules();
+
+    if (!ChronoballState.hasAllZones(rules)) {
+      return false;
     }
     
     // Debounce to prevent multiple scores
     const now = Date.now();
     if (now - state.lastScoreTimestamp < this.SCORE_DEBOUNCE_TIME) {
-      return;
+      return false;
     }
 
-    // Determine which endzone to check based on attacking team
-    const targetZoneId = state.attackingTeam === 'A' ? rules.zoneBTileId : rules.zoneATileId;
+    // Check every scoring target of the attacking team against the ball's center
+    const target = ChronoballState.getScoringTargetAt(ballTokenDoc, x, y, state.attackingTeam, 'scoreThrow', rules, state);
 
-    // Check if ball's center is in target endzone
-    const inEndzone = ChronoballState.isTokenCenterInTile(ballTokenDoc, x, y, targetZoneId);
+    if (!target) return false;
 
-    if (inEndzone) {
-      await this.awardThrowScore(state.attackingTeam);
-    }
+    await this.awardThrowScore(state.attackingTeam, throwerTokenId, target, distance);
+    return true;
   }
   
   /**
    * Award run-in score (configurable points)
    */
-  static async awardRunInScore(team) {
+  static async awardRunInScore(team, scorerTokenId = null, target = null) {
     const state = ChronoballState.getMatchState();
     const rules = ChronoballState.getRules();
-    const points = rules.scoreRunIn || 2;
+    const points = target?.scoreRunIn ?? (rules.scoreRunIn || 2);
+    const teamName = ChronoballState.getTeamName(team, state);
+    const play = ChronoballMatchLog.beginPlay('score');
+    try {
+      // Update timestamp to prevent duplicate scoring
+      await ChronoballState.updateState({
+        lastScoreTimestamp: Date.now()
+      });
     
-    // Update timestamp to prevent duplicate scoring
-    await ChronoballState.updateState({
-      lastScoreTimestamp: Date.now()
-    });
+      // Add points
+      const scoreKey = `team${team}Score`;
+      const newScore = state[scoreKey] + points;
     
-    // Add points
-    const scoreKey = team === 'A' ? 'teamAScore' : 'teamBScore';
-    const newScore = state[scoreKey] + points;
+      await ChronoballState.updateState({
+        [scoreKey]: newScore
+      });
     
-    await ChronoballState.updateState({
-      [scoreKey]: newScore
-    });
+      // Create chat message
+      await this.createScoreChatMessage(team, points, 'run-in', target);
+      if (scorerTokenId) {
+        await ChronoballStats.record(scorerTokenId, { points });
+      }
+      await ChronoballMatchLog.endPlay(play, { team, teamName, points, method: 'run-in', target: target?.name ?? null, scoreDelta: { [team]: points } });
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { team, aborted: true });
+      throw error;
+    }
     
-    // Create chat message
-    const teamName = team === 'A' ? state.teamAName : state.teamBName;
-    await this.createScoreChatMessage(teamName, points, 'run-in');
+    // A win condition may end the match right here
+    if (await ChronoballMatch.checkWinConditions()) return;
     
     // Clear carrier before ending phase (carrier exists in run-in)
     const ChronoballBall = (await import('./ball.js')).ChronoballBall;
@@ -131,27 +166,40 @@ export class ChronoballScoring {
   /**
    * Award throw score (configurable points)
    */
-  static async awardThrowScore(team) {
+  static async awardThrowScore(team, scorerTokenId = null, target = null, distance = null) {
     const state = ChronoballState.getMatchState();
     const rules = ChronoballState.getRules();
-    const points = rules.scoreThrow || 1;
+    const tier = this.getDistanceTier(distance, rules);
+    const points = (target?.scoreThrow ?? (rules.scoreThrow || 1)) + (tier?.bonus ?? 0);
+    const teamName = ChronoballState.getTeamName(team, state);
+    const play = ChronoballMatchLog.beginPlay('score');
+    try {
+      // Update timestamp to prevent duplicate scoring
+      await ChronoballState.updateState({
+        lastScoreTimestamp: Date.now()
+      });
     
-    // Update timestamp to prevent duplicate scoring
-    await ChronoballState.updateState({
-      lastScoreTimestamp: Date.now()
-    });
+      // Add points
+      const scoreKey = `team${team}Score`;
+      const newScore = state[scoreKey] + points;
     
-    // Add points
-    const scoreKey = team === 'A' ? 'teamAScore' : 'teamBScore';
-    const newScore = state[scoreKey] + points;
+      await ChronoballState.updateState({
+        [scoreKey]: newScore
+      });
     
-    await ChronoballState.updateState({
-      [scoreKey]: newScore
-    });
+      // Create chat message
+      await this.createScoreChatMessage(team, points, 'throw', target, tier && { ...tier, distance });
+      if (scorerTokenId) {
+        await ChronoballStats.record(scorerTokenId, { points });
+      }
+      await ChronoballMatchLog.endPlay(play, { team, teamName, points, method: 'throw', target: target?.name ?? null, distance, distanceBonus: tier?.bonus ?? 0, scoreDelta: { [team]: points } });
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { team, aborted: true });
+      throw error;
+    }
     
-    // Create chat message
-    const teamName = team === 'A' ? state.teamAName : state.teamBName;
-    await this.createScoreChatMessage(teamName, points, 'throw');
+    // A win condition may end the match right here
+    if (await ChronoballMatch.checkWinConditions()) return;
     
     // No carrier to clear (ball was thrown)
     // But we still need to clean up state
@@ -163,30 +211,53 @@ export class ChronoballScoring {
     ui.notifications.notify(`${teamName} scores ${points} point(s)!`);
   }
   
+  /**
+   * Get the distance tier a successful throw reached: the one with the longest
+   * distance the throw went beyond, or null
+   */
+  static getDistanceTier(distance, rules = ChronoballState.getRules()) {
+    if (!distance) return null;
+    return (rules.throwDistanceTiers ?? [])
+      .filter(tier => distance > tier.minDistance)
+      .sort((a, b) => b.minDistance - a.minDistance)[0] ?? null;
+  }
+  
   /**
    * Award pass-in-zone score (configurable points)
    */
-  static async awardPassInZoneScore(team) {
+  static async awardPassInZoneScore(team, scorerTokenId = null, target = null) {
     const state = ChronoballState.getMatchState();
     const rules = ChronoballState.getRules();
-    const points = rules.scorePassInZone || 2;
+    const points = target?.scorePassInZone ?? (rules.scorePassInZone || 2);
+    const teamName = ChronoballState.getTeamName(team, state);
+    const play = ChronoballMatchLog.beginPlay('score');
+    try {
+      // Update timestamp to prevent duplicate scoring
+      await ChronoballState.updateState({
+        lastScoreTimestamp: Date.now()
+      });
     
-    // Update timestamp to prevent duplicate scoring
-    await ChronoballState.updateState({
-      lastScoreTimestamp: Date.now()
-    });
+      // Add points
+      const scoreKey = `team${team}Score`;
+      const newScore = state[scoreKey] + points;
     
-    // Add points
-    const scoreKey = team === 'A' ? 'teamAScore' : 'teamBScore';
-    const newScore = state[scoreKey] + points;
+      await ChronoballState.updateState({
+        [scoreKey]: newScore
+      });
     
-    await ChronoballState.updateState({
-      [scoreKey]: newScore
-    });
+      // Create chat message
+      await this.createScoreChatMessage(team, points, 'pass-in-zone', target);
+      if (scorerTokenId) {
+        await ChronoballStats.record(scorerTokenId, { points });
+      }
+      await ChronoballMatchLog.endPlay(play, { team, teamName, points, method: 'pass-in-zone', target: target?.name ?? null, scoreDelta: { [team]: points } });
+    } catch (error) {
+      await ChronoballMatchLog.endPlay(play, { team, aborted: true });
+      throw error;
+    }
     
-    // Create chat message
-    const teamName = team === 'A' ? state.teamAName : state.teamBName;
-    await this.createScoreChatMessage(teamName, points, 'pass-in-zone');
+    // A win condition may end the match right here
+    if (await ChronoballMatch.checkWinConditions()) return;
     
     // Clear carrier before ending phase (receiver is carrier)
     const ChronoballBall = (await import('./ball.js')).ChronoballBall;
@@ -198,12 +269,16 @@ export class ChronoballScoring {
     ui.notifications.notify(`${teamName} scores ${points} points with a pass in the endzone!`);
   }
   
-  // isTokenInTile has been moved to state.js as isTokenCenterInTile and isTokenFullyInTile
+  // isTokenInTile has been moved to state.js as isTokenCenterInZone
   
   /**
    * Create scoring chat message
    */
-  static async createScoreChatMessage(teamName, points, type) {
+  static async createScoreChatMessage(team, points, type, target = null, distanceBonus = null) {
+    const state = ChronoballState.getMatchState();
+    const identity = ChronoballTeams.getSideIdentity(team, state);
+    const teamName = ChronoballState.getTeamName(team, state);
+    const teamColor = ChronoballState.getTeamColor(team, ChronoballState.getRules(), state);
     let messageKey;
     
     if (type === 'run-in') {
@@ -214,7 +289,7 @@ export class ChronoballScoring {
       messageKey = 'CHRONOBALL.Chat.PassInZoneScore';
     }
     
-    const message = game.i18n.format(messageKey, { team: teamName });
+    const message = game.i18n.format(messageKey, { team: `<span style="color: ${teamColor};">${teamName}</span>` });
     
     const content = `
       <div class="chronoball-chat-message score">
@@ -224,11 +299,14 @@ export class ChronoballScoring {
         </div>
         <div class="message-body">
           <p style="font-size: 18px; font-weight: bold; text-align: center;">
-            ${message}
+            ${ChronoballTeams.getLogoHTML(identity)} ${message}
           </p>
           <p style="text-align: center; font-size: 24px;">
             +${points} ${game.i18n.localize('CHRONOBALL.HUD.Score')}
           </p>
+          ${target ? `<p style="text-align: center;">${game.i18n.format('CHRONOBALL.Chat.ScoringTarget', { name: target.name })}</p>` : ''}
+          ${distanceBonus ? `<p style="text-align: center;">${game.i18n.format('CHRONOBALL.Chat.DistanceBonus', { distance: Math.round(distanceBonus.distance), bonus: distanceBonus.bonus })}</p>` : ''}
+          ${identity?.chant ? `<p style="text-align: center; font-style: italic;">“${identity.chant}”</p>` : ''}
         </div>
       </div>
     `;
@@ -58,8 +58,16 @@ export class ChronoballSocket {
           return this.executeSetTeamAssignment(data);
         case 'clearTeamAssignment':
           return this.executeClearTeamAssignment(data);
+        case 'setBenched':
+          return this.executeSetBenched(data);
         case 'fumbleBall':
           return this.executeFumbleBall(data);
+        case 'recordMatchEvent':
+          return this.executeRecordMatchEvent(data);
+        case 'undoLastPlay':
+          return this.executeUndoLastPlay(data);
+        case 'recordStats':
+          return this.executeRecordStats(data);
         
         // Responses to GM
         case 'fumbleSaveResponse':
@@ -118,6 +126,18 @@ export class ChronoballSocket {
     }
   }
   
+  /**
+   * Execute an action as GM without waiting for a confirmation, for writes nobody
+   * waits on (log entries, stats). The confirmation hook only fires on the GM's
+   * client, so a player would otherwise sit out the full timeout.
+   */
+  static async sendToGM(action, data = {}) {
+    if (this.isPrimaryGM()) {
+      return await this.onSocketMessage({ action, ...data });
+    }
+    this.emit(action, data);
+  }
+  
   /**
    * Check if current user is primary GM
    */
@@ -153,17 +173,17 @@ export class ChronoballSocket {
   // Execution methods for authoritative actions
   
   static async executeThrowBall(data) {
-    const { tokenId, targetX, targetY, skill, distance, dc, rollTotal, success } = data;
+    const { tokenId, targetX, targetY, skill, distance, dc, rollTotal, success, degree, style } = data;
     // Implementation delegated to ChronoballBall
     const ChronoballBall = (await import('./ball.js')).ChronoballBall;
-    await ChronoballBall.executeThrow(tokenId, targetX, targetY, skill, distance, dc, rollTotal, success);
+    await ChronoballBall.executeThrow(tokenId, targetX, targetY, skill, distance, dc, rollTotal, success, degree ?? null, style ?? 'standard');
     Hooks.callAll('chronoball.actionComplete', 'throwBall');
   }
   
   static async executePassBall(data) {
-    const { tokenId, targetTokenId, skill, distance, dc, rollTotal, success } = data;
+    const { tokenId, targetTokenId, skill, distance, dc, rollTotal, success, degree, style } = data;
     const ChronoballBall = (await import('./ball.js')).ChronoballBall;
-    await ChronoballBall.executePass(tokenId, targetTokenId, skill, distance, dc, rollTotal, success);
+    await ChronoballBall.executePass(tokenId, targetTokenId, skill, distance, dc, rollTotal, success, degree ?? null, style ?? 'standard');
     Hooks.callAll('chronoball.actionComplete', 'passBall');
   }
   
@@ -215,24 +235,61 @@ export class ChronoballSocket {
     Hooks.callAll('chronoball.actionComplete', 'fumbleBall');
   }
 
+  static async executeRecordMatchEvent(data) {
+    const { entry } = data;
+    const { ChronoballMatchLog } = await import('./match-log.js');
+    await ChronoballMatchLog.appendEntry(entry);
+    Hooks.callAll('chronoball.actionComplete', 'recordMatchEvent');
+  }
+
+  static async executeUndoLastPlay(data) {
+    // Only a GM may roll the match back; local calls carry no sender
+    const sender = data.userId ? game.users.get(data.userId) : game.user;
+    if (!sender?.isGM) {
+      console.warn('Chronoball | Ignoring undo request from non-GM user:', data.userId);
+      return;
+    }
+
+    const { ChronoballMatchLog } = await import('./match-log.js');
+    await ChronoballMatchLog.executeUndo();
+    Hooks.callAll('chronoball.actionComplete', 'undoLastPlay');
+  }
+
+  static async executeRecordStats(data) {
+    const { playerId, name, team, changes } = data;
+    const { ChronoballStats } = await import('./stats.js');
+    await ChronoballStats.applyChanges(playerId, name, team, changes);
+    Hooks.callAll('chronoball.actionComplete', 'recordStats');
+  }
+
   static async executeSetTeamAssignment(data) {
-    const { actorId, team } = data;
+    const { tokenId, sceneId, team, order } = data;
     try {
       const { ChronoballState } = await import('./state.js');
-      await ChronoballState.setTeamAssignment(actorId, team);
+      await ChronoballState.setTeamAssignment(tokenId, team, sceneId, order ?? null);
     } catch (e) {
       console.error('Chronoball | Failed to set team assignment via GM:', e);
     }
   }
 
   static async executeClearTeamAssignment(data) {
-    const { actorId } = data;
+    const { tokenId, sceneId } = data;
     try {
       const { ChronoballState } = await import('./state.js');
-      await ChronoballState.clearTeamAssignment(actorId);
+      await ChronoballState.clearTeamAssignment(tokenId, sceneId);
     } catch (e) {
       console.error('Chronoball | Failed to clear team assignment via GM:', e);
     }
   }
 
+  static async executeSetBenched(data) {
+    const { tokenId, sceneId, benched } = data;
+    try {
+      const { ChronoballState } = await import('./state.js');
+      await ChronoballState.setBenched(tokenId, benched, sceneId);
+    } catch (e) {
+      console.error('Chronoball | Failed to update bench via GM:', e);
+    }
+  }
+
 }
@@ -4,13 +4,19 @@
 
 import { ChronoballSocket } from './socket.js';
 import { ChronoballUtils } from './utils.js';
+import { ChronoballTeams } from './teams.js';
+import { ChronoballSystem } from './system.js';
 
 export class ChronoballState {
   static FLAG_SCOPE = 'chronoball';
   static FLAG_MATCH_STATE = 'matchState';
   static FLAG_TEAM_ASSIGNMENT = 'teamAssignment';
+  static FLAG_BENCHED = 'benched';
+  static FLAG_ROSTER_ORDER = 'rosterOrder';
   static FLAG_BALL_TOKEN = 'ballToken';
   static FLAG_CARRIER = 'isCarrier';
+  static TEAMS = ['A', 'B', 'C', 'D'];
+  static DEFAULT_TEAM_COLORS = { A: '#2196F3', B: '#f44336', C: '#4CAF50', D: '#FF9800' };
   
   static initialize() {
     ChronoballUtils.log('Chronoball | State manager initialized');
@@ -38,8 +44,16 @@ export class ChronoballState {
     return {
       teamAName: 'Team A',
       teamBName: 'Team B',
+      teamCName: 'Team C',
+      teamDName: 'Team D',
+      teamAIdentity: null, // Saved team identity picked for each side
+      teamBIdentity: null,
+      teamCIdentity: null,
+      teamDIdentity: null,
       teamAScore: 0,
       teamBScore: 0,
+      teamCScore: 0,
+      teamDScore: 0,
       attackingTeam: 'A',
       defendingTeam: 'B',
       carrierId: null,
@@ -51,8 +65,16 @@ export class ChronoballState {
       lastScoreTimestamp: 0,
       attackedA: false,
       attackedB: false,
+      attackedC: false,
+      attackedD: false,
       carrierDamageInRound: 0,
-      throwInProgress: false
+      throwInProgress: false,
+      overtime: false,
+      half: 1,
+      halftime: false,
+      betweenPhases: true, // From a phase change until the ball is picked up again
+      sidesSwitched: false,
+      outOfBounds: null // { team, throwIn } after the ball went out, until someone picks it up
     };
   }
   
@@ -94,51 +116,171 @@ export class ChronoballState {
   }
   
   /**
-   * Get team assignment for an actor
+   * Get a token document by ID, on the current scene unless another scene is given
    */
-  static getTeamAssignment(actorId) {
-    const actor = game.actors.get(actorId);
-    if (!actor) return null;
+  static getTokenDocument(tokenId, sceneId = null) {
+    const scene = sceneId ? game.scenes.get(sceneId) : canvas.scene;
+    return scene?.tokens.get(tokenId) ?? null;
+  }
+  
+  /**
+   * Get the document that holds the team flags of a token. Linked characters keep
+   * their team on the actor, so it follows them from scene to scene; unlinked tokens
+   * carry their own, so several tokens of one NPC statblock can play for different teams.
+   */
+  static getTeamFlagDocument(tokenDoc) {
+    if (!tokenDoc) return null;
+    return tokenDoc.actorLink ? tokenDoc.actor : tokenDoc;
+  }
+  
+  /**
+   * Get a stable player ID for a token: the actor for linked characters, the token otherwise
+   */
+  static getPlayerId(tokenDoc) {
+    return tokenDoc.actorLink ? tokenDoc.actorId : tokenDoc.id;
+  }
+  
+  /**
+   * Get team assignment for a token
+   */
+  static getTeamAssignment(tokenId, sceneId = null) {
+    const doc = this.getTeamFlagDocument(this.getTokenDocument(tokenId, sceneId));
+    if (!doc) return null;
     
-    return actor.getFlag(this.FLAG_SCOPE, this.FLAG_TEAM_ASSIGNMENT);
+    return doc.getFlag(this.FLAG_SCOPE, this.FLAG_TEAM_ASSIGNMENT) ?? null;
+  }
+  
+  /**
+   * Set team assignment for a token, optionally with its position in the roster
+   */
+  static async setTeamAssignment(tokenId, team, sceneId = canvas.scene?.id, order = null) {
+    if (!game.user.isGM) {
+      const { ChronoballSocket } = await import('./socket.js');
+      await ChronoballSocket.executeAsGM('setTeamAssignment', { tokenId, sceneId, team, order });
+      return;
+    }
+    const doc = this.getTeamFlagDocument(this.getTokenDocument(tokenId, sceneId));
+    if (!doc) return;
+    const flags = { [this.FLAG_TEAM_ASSIGNMENT]: team };
+    if (order !== null) flags[this.FLAG_ROSTER_ORDER] = order;
+    await doc.update({ [`flags.${this.FLAG_SCOPE}`]: flags });
   }
   
   /**
-   * Set team assignment for an actor
+   * Get the roster position of a token (null if it was never ordered)
    */
-  static async setTeamAssignment(actorId, team) {
-  if (!game.user.isGM) {
-    const { ChronoballSocket } = await import('./socket.js');
-    await ChronoballSocket.executeAsGM('setTeamAssignment', { actorId, team });
-    return;
+  static getRosterOrder(tokenId, sceneId = null) {
+    const doc = this.getTeamFlagDocument(this.getTokenDocument(tokenId, sceneId));
+    return doc?.getFlag(this.FLAG_SCOPE, this.FLAG_ROSTER_ORDER) ?? null;
   }
-  const actor = game.actors.get(actorId);
-  if (!actor) return;
-  await actor.setFlag(this.FLAG_SCOPE, this.FLAG_TEAM_ASSIGNMENT, team);
-}
   
   /**
-   * Clear team assignment for an actor
+   * Clear team assignment (and bench status) for a token
+   */
+  static async clearTeamAssignment(tokenId, sceneId = canvas.scene?.id) {
+    if (!game.user.isGM) {
+      const { ChronoballSocket } = await import('./socket.js');
+      await ChronoballSocket.executeAsGM('clearTeamAssignment', { tokenId, sceneId });
+      return;
+    }
+    const doc = this.getTeamFlagDocument(this.getTokenDocument(tokenId, sceneId));
+    if (!doc) return;
+    await doc.unsetFlag(this.FLAG_SCOPE, this.FLAG_TEAM_ASSIGNMENT);
+    await doc.unsetFlag(this.FLAG_SCOPE, this.FLAG_BENCHED);
+    await doc.unsetFlag(this.FLAG_SCOPE, this.FLAG_ROSTER_ORDER);
+  }
+  
+  /**
+   * Check if an assigned token sits on the bench
+   */
+  static isBenched(tokenId, sceneId = null) {
+    const doc = this.getTeamFlagDocument(this.getTokenDocument(tokenId, sceneId));
+    if (!doc) return false;
+    
+    return doc.getFlag(this.FLAG_SCOPE, this.FLAG_BENCHED) === true;
+  }
+  
+  /**
+   * Move a token to the bench or back into the lineup
+   */
+  static async setBenched(tokenId, benched, sceneId = canvas.scene?.id) {
+    if (!game.user.isGM) {
+      const { ChronoballSocket } = await import('./socket.js');
+      await ChronoballSocket.executeAsGM('setBenched', { tokenId, sceneId, benched });
+      return;
+    }
+    const doc = this.getTeamFlagDocument(this.getTokenDocument(tokenId, sceneId));
+    if (!doc) return;
+    if (benched) {
+      await doc.setFlag(this.FLAG_SCOPE, this.FLAG_BENCHED, true);
+    } else {
+      await doc.unsetFlag(this.FLAG_SCOPE, this.FLAG_BENCHED);
+    }
+  }
+  
+  /**
+   * Get the teams playing on this scene ('A', 'B' and, in free-for-all mode, 'C'/'D')
+   */
+  static getTeams(rules = this.getRules()) {
+    const count = Math.min(Math.max(Number(rules.teamCount) || 2, 2), this.TEAMS.length);
+    return this.TEAMS.slice(0, count);
+  }
+
+  static getTeamName(team, state = this.getMatchState()) {
+    return state[`team${team}Name`] ?? `Team ${team}`;
+  }
+
+  static getTeamScore(team, state = this.getMatchState()) {
+    return state[`team${team}Score`] || 0;
+  }
+
+  static getTeamColor(team, rules = this.getRules(), state = this.getMatchState()) {
+    const identity = ChronoballTeams.getSideIdentity(team, state);
+    return identity?.primaryColor || rules[`team${team}Color`] || this.DEFAULT_TEAM_COLORS[team];
+  }
+
+  /**
+   * Get the team that gets possession after the given team
    */
-  static async clearTeamAssignment(actorId) {
-  if (!game.user.isGM) {
-    const { ChronoballSocket } = await import('./socket.js');
-    await ChronoballSocket.executeAsGM('clearTeamAssignment', { actorId });
-    return;
+  static getNextTeam(team, rules = this.getRules()) {
+    const teams = this.getTeams(rules);
+    return teams[(teams.indexOf(team) + 1) % teams.length];
+  }
+
+  /**
+   * Every assigned team that does not have possession defends
+   */
+  static isDefendingTeam(team, state = this.getMatchState()) {
+    return !!team && team !== state.attackingTeam;
+  }
+
+  /**
+   * Format the score of all teams, e.g. "Red 3 - 2 Blue" or "Red 3 · Blue 2 · Green 1"
+   */
+  static formatScoreLine(state = this.getMatchState(), rules = this.getRules()) {
+    const teams = this.getTeams(rules);
+    if (teams.length === 2) {
+      return `${state.teamAName} ${state.teamAScore} - ${state.teamBScore} ${state.teamBName}`;
+    }
+    return teams.map(team => `${this.getTeamName(team, state)} ${this.getTeamScore(team, state)}`).join(' · ');
   }
-  const actor = game.actors.get(actorId);
-  if (!actor) return;
-  await actor.unsetFlag(this.FLAG_SCOPE, this.FLAG_TEAM_ASSIGNMENT);
-}
   
   /**
-   * Get all actors assigned to a team
+   * Get all tokens on the current scene assigned to a team, in roster order.
+   * A linked character placed more than once only counts with its first token.
    */
   static getTeamRoster(team) {
-    return game.actors.filter(actor => {
-      const assignment = actor.getFlag(this.FLAG_SCOPE, this.FLAG_TEAM_ASSIGNMENT);
-      return assignment === team;
-    });
+    const seenActors = new Set();
+    const position = (token) => this.getRosterOrder(token.id) ?? Number.MAX_SAFE_INTEGER;
+    return (canvas.tokens?.placeables ?? []).filter(token => {
+      if (this.isBallToken(token.id)) return false;
+      if (this.getTeamAssignment(token.id) !== team) return false;
+      if (token.document.actorLink) {
+        if (seenActors.has(token.document.actorId)) return false;
+        seenActors.add(token.document.actorId);
+      }
+      return true;
+    }).sort((a, b) => position(a) - position(b));
   }
   
   /**
@@ -186,7 +328,8 @@ export class ChronoballState {
     if (isCarrier) {
       await this.updateState({ 
         carrierId: tokenId,
-        carrierDamageInRound: 0
+        carrierDamageInRound: 0,
+        betweenPhases: false
       });
     }
   }
@@ -255,8 +398,11 @@ export class ChronoballState {
     const state = this.getMatchState();
     const rules = this.getRules();
     
+    const { ChronoballStats } = await import('./stats.js');
+    await ChronoballStats.record(tokenDoc.id, { carryFeet: feetDistance });
+    
     // Determine own endzone based on attacking team
-    const ownEndzoneId = state.attackingTeam === 'A' ? rules.zoneATileId : rules.zoneBTileId;
+    const ownEndzoneId = this.getZoneTileId(state.attackingTeam, rules, state);
     
     if (!ownEndzoneId) {
       // No endzone configured, deduct movement normally
@@ -265,8 +411,8 @@ export class ChronoballState {
     }
     
     // Check if start and end positions are in own endzone (using token center)
-    const wasInOwnEndzone = this.isTokenCenterInTile(tokenDoc, oldX, oldY, ownEndzoneId);
-    const isInOwnEndzone = this.isTokenCenterInTile(tokenDoc, newX, newY, ownEndzoneId);
+    const wasInOwnEndzone = this.isTokenCenterInZone(tokenDoc, oldX, oldY, ownEndzoneId);
+    const isInOwnEndzone = this.isTokenCenterInZone(tokenDoc, newX, newY, ownEndzoneId);
     
     if (wasInOwnEndzone && isInOwnEndzone) {
       // Both positions in own endzone - NO movement deducted
@@ -278,31 +424,215 @@ export class ChronoballState {
     }
   }
 
-  static isTokenCenterInTile(tokenDoc, x, y, tileId) {
-    if (!tileId) return false;
+  /**
+   * Get the endzone tile UUID a team currently defends (respects side switching)
+   */
+  static getZoneTileId(team, rules = this.getRules(), state = this.getMatchState()) {
+    // Sides can only be switched in a two-team match
+    const switched = state.sidesSwitched && this.getTeams(rules).length === 2;
+    const zoneTeam = switched ? (team === 'A' ? 'B' : 'A') : team;
+    return rules[`zone${zoneTeam}TileId`] || '';
+  }
 
-    const tileIdOnly = tileId.includes('.') ? tileId.split('.').pop() : tileId;
-    const tile = canvas.tiles.get(tileIdOnly);
-    
-    // Use the scene's grid size for safety, canvas global might be unreliable.
-    const gridSize = canvas.scene.grid.size;
-    if (!tile || !gridSize) return false;
+  static getDefaultScoringTarget() {
+    return {
+      id: null,
+      name: '',
+      zoneId: '',
+      team: 'A',
+      scoreRunIn: 0,
+      scoreThrow: 3,
+      scorePassInZone: 0
+    };
+  }
+
+  /**
+   * Get everything a team can score in: the opponents' endzones plus the extra scoring
+   * targets the opponents defend. A target's owning team follows the side switch like
+   * its endzone does. Targets whose zone is not on the scene are left out.
+   */
+  static getScoringTargets(team, rules = this.getRules(), state = this.getMatchState()) {
+    const switched = state.sidesSwitched && this.getTeams(rules).length === 2;
+    const opponents = this.getTeams(rules).filter(t => t !== team);
 
-    const tokenWidthInPixels = tokenDoc.width * gridSize;
-    const tokenHeightInPixels = tokenDoc.height * gridSize;
-    const centerX = x + tokenWidthInPixels / 2;
-    const centerY = y + tokenHeightInPixels / 2;
+    const endzones = opponents.map(t => ({
+      id: `endzone${t}`,
+      name: game.i18n.format('CHRONOBALL.Scoring.Endzone', { team: this.getTeamName(t, state) }),
+      zoneId: this.getZoneTileId(t, rules, state),
+      team: t,
+      scoreRunIn: rules.scoreRunIn || 2,
+      scoreThrow: rules.scoreThrow || 1,
+      scorePassInZone: rules.scorePassInZone || 2
+    }));
 
-    const tileBounds = tile.bounds;
-    
+    const extras = (rules.scoringTargets ?? [])
+      .map(target => ({ ...this.getDefaultScoringTarget(), ...target }))
+      .map(target => ({
+        ...target,
+        name: target.name || game.i18n.localize('CHRONOBALL.Scoring.Target'),
+        team: switched ? (target.team === 'A' ? 'B' : 'A') : target.team
+      }))
+      .filter(target => opponents.includes(target.team));
+
+    return [...endzones, ...extras].filter(target => this.getZone(target.zoneId));
+  }
+
+  /**
+   * Get the scoring target a token center is in for a scoring method
+   * ('scoreRunIn', 'scoreThrow' or 'scorePassInZone'). Targets worth no points for the
+   * method are ignored; where targets overlap, the one worth the most wins.
+   */
+  static getScoringTargetAt(tokenDoc, x, y, team, method, rules = this.getRules(), state = this.getMatchState()) {
+    return this.getScoringTargets(team, rules, state)
+      .filter(target => Number(target[method]) > 0 && this.isTokenCenterInZone(tokenDoc, x, y, target.zoneId))
+      .sort((a, b) => b[method] - a[method])[0] ?? null;
+  }
+
+  /**
+   * Check that every playing team has an endzone on this scene
+   */
+  static hasAllZones(rules = this.getRules()) {
+    return this.getTeams(rules).every(team => this.getZone(rules[`zone${team}TileId`]));
+  }
+
+  /**
+   * Resolve an endzone setting to its TileDocument or RegionDocument on the current scene.
+   * Accepts a tile or region UUID, or a bare ID. Returns null if the zone was deleted or
+   * belongs to another scene.
+   */
+  static getZone(zoneId) {
+    const scene = canvas.scene;
+    if (!zoneId || !scene) return null;
+
+    const parts = String(zoneId).trim().split('.');
+    if (parts.length === 1) {
+      return scene.tiles.get(parts[0]) ?? scene.regions.get(parts[0]) ?? null;
+    }
+
+    // UUID format: Scene.<sceneId>.Tile.<id> or Scene.<sceneId>.Region.<id>
+    const [sceneType, sceneId, type, id] = parts;
+    if (parts.length !== 4 || sceneType !== 'Scene' || sceneId !== scene.id) return null;
+    if (type === 'Tile') return scene.tiles.get(id) ?? null;
+    if (type === 'Region') return scene.regions.get(id) ?? null;
+    return null;
+  }
+
+  /**
+   * Check if a zone is a region with an enabled Chronoball endzone behavior.
+   * Scoring in such zones is triggered by the region itself instead of token polling.
+   */
+  static hasZoneBehavior(zoneId) {
+    const zone = this.getZone(zoneId);
+    if (zone?.documentName !== 'Region') return false;
+    return zone.behaviors.some(b => b.type === 'chronoball.endzone' && !b.disabled);
+  }
+
+  /**
+   * Get the bounding rectangle of a zone on the canvas, or null
+   */
+  static getZoneBounds(zoneId) {
+    return this.getZone(zoneId)?.object?.bounds ?? null;
+  }
+
+  /**
+   * Get the point a ball is placed on in a zone: the center of its bounds, or the
+   * nearest point of the zone when the center lies outside it (L-shaped or ring
+   * regions). Null if the zone is not on the scene.
+   */
+  static getZoneSpawnPoint(zoneId) {
+    const bounds = this.getZoneBounds(zoneId);
+    if (!bounds) return null;
+
+    const center = { x: bounds.x + (bounds.width / 2), y: bounds.y + (bounds.height / 2) };
+    if (this.isPointInZone(zoneId, center.x, center.y)) return center;
+    return this.getNearestZonePoint(zoneId, center.x, center.y) ?? center;
+  }
+
+  /**
+   * Check if a canvas point is inside a zone. Regions test their actual shapes
+   * (polygons, ellipses, holes); tiles test their rectangle.
+   */
+  static isPointInZone(zoneId, x, y) {
+    const zone = this.getZone(zoneId);
+    if (!zone) return false;
+
+    if (zone.documentName === 'Region') {
+      return zone.polygonTree.testPoint({ x, y });
+    }
+
+    const bounds = zone.object?.bounds;
+    if (!bounds) return false;
     return (
-      centerX >= tileBounds.x &&
-      centerX <= tileBounds.x + tileBounds.width &&
-      centerY >= tileBounds.y &&
-      centerY <= tileBounds.y + tileBounds.height
+      x >= bounds.x &&
+      x <= bounds.x + bounds.width &&
+      y >= bounds.y &&
+      y <= bounds.y + bounds.height
     );
   }
+
+  /**
+   * Get the teams whose configured endzone is not on this scene (any team, not just playing ones)
+   */
+  static getMissingZones(rules = this.getRules()) {
+    return this.TEAMS.filter(team => rules[`zone${team}TileId`] && !this.getZone(rules[`zone${team}TileId`]));
+  }
+
+  static isTokenCenterInZone(tokenDoc, x, y, zoneId) {
+    if (!zoneId) return false;
+
+    // Use the scene's grid size for safety, canvas global might be unreliable.
+    const gridSize = canvas.scene.grid.size;
+    if (!gridSize) return false;
+
+    const centerX = x + (tokenDoc.width * gridSize) / 2;
+    const centerY = y + (tokenDoc.height * gridSize) / 2;
+    return this.isPointInZone(zoneId, centerX, centerY);
+  }
   
+  /**
+   * Check if a token center is inside the field boundary. Without a boundary
+   * (or if its zone is not on the scene) everything is in bounds.
+   */
+  static isTokenCenterInField(tokenDoc, x, y, rules = this.getRules()) {
+    if (!this.getZone(rules.fieldZoneId)) return true;
+    return this.isTokenCenterInZone(tokenDoc, x, y, rules.fieldZoneId);
+  }
+
+  /**
+   * Get the point on the edge of a zone closest to a canvas point. Regions check
+   * every edge of every shape; tiles clamp to their rectangle.
+   */
+  static getNearestZonePoint(zoneId, x, y) {
+    const zone = this.getZone(zoneId);
+    if (!zone) return null;
+
+    if (zone.documentName !== 'Region') {
+      const bounds = zone.object?.bounds;
+      if (!bounds) return null;
+      return {
+        x: Math.clamp(x, bounds.x, bounds.x + bounds.width),
+        y: Math.clamp(y, bounds.y, bounds.y + bounds.height)
+      };
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const polygon of zone.polygons) {
+      const points = polygon.points;
+      for (let i = 0; i < points.length; i += 2) {
+        const a = { x: points[i], y: points[i + 1] };
+        const b = { x: points[(i + 2) % points.length], y: points[(i + 3) % points.length] };
+        const point = foundry.utils.closestPointToSegment({ x, y }, a, b);
+        const distance = Math.hypot(point.x - x, point.y - y);
+        if (distance < nearestDistance) {
+          nearest = point;
+          nearestDistance = distance;
+        }
+      }
+    }
+    return nearest;
+  }
+
   /**
    * Deduct from remaining move distance
    */
@@ -322,10 +652,9 @@ export class ChronoballState {
   }
   
   /**
-   * Get rules configuration
+   * Get rules configuration of a scene (the current one by default)
    */
-  static getRules() {
-    const scene = canvas.scene;
+  static getRules(scene = canvas.scene) {
     if (!scene) return this.getDefaultRules();
     
     const rules = scene.getFlag(this.FLAG_SCOPE, 'rules');
@@ -339,17 +668,35 @@ export class ChronoballState {
     return {
       zoneATileId: '',
       zoneBTileId: '',
+      zoneCTileId: '',
+      zoneDTileId: '',
+      teamCount: 2, // 3-4 = free-for-all
+      teamSize: 3, // Players per team on the field, extra players go to the bench
+      teamAColor: '#2196F3',
+      teamBColor: '#f44336',
+      teamCColor: '#4CAF50',
+      teamDColor: '#FF9800',
       ballMove: 0,
       ballThrow: 0,
       legacyTotal: 90,
       baseDC: 10,
       stepDistance: 10,
       dcIncrease: 2,
-      availableSkills: 'ath:Athletics,acr:Acrobatics,slt:Sleight of Hand',
+      availableSkills: '', // Empty = the default skills of the game system adapter
+      criticalThrowBonus: 10, // Throw distance a critical success gives back (systems with degrees of success)
+      throwStyles: {}, // Lob, bullet and bounce pass settings by style, see getDefaultThrowStyles()
+      simpleHPPath: '', // Simple d20 mode (systems without an adapter): data paths and bonuses
+      simpleTempHPPath: '',
+      simpleMaxHPPath: '',
+      simpleThrowBonus: '',
+      simpleInterceptBonus: '',
+      simpleFumbleSaveBonus: '',
       interceptRadius: 10,
       interceptTimeout: 10000,
       interceptOnThrow: true,
       blockAtReceiver: true,
+      interceptAlongPath: false, // Defenders near the flight path of any throw get an interception chance
+      pathInterceptRadius: 5, // Feet from the flight path within which defenders can intercept
       carrierTempHP: 10,
       carrierAuraSource: '',
       carrierAuraScale: 1.5,
@@ -358,20 +705,84 @@ export class ChronoballState {
       scoreRunIn: 2,
       scoreThrow: 1,
       scorePassInZone: 2,
+      scoringTargets: [],
+      throwDistanceTiers: [], // [{ minDistance, bonus }]
+      fieldZoneId: '', // Field boundary tile or region, empty = no boundary
+      outOfBounds: 'turnover', // 'turnover' or 'throwIn'
+      wallCollision: 'none', // Walls that stop the ball: 'none', 'move' or 'sight'
+      wallCollisionResult: 'stop', // 'stop' or 'deflect'
+      ballBounceFormula: '', // Feet a thrown ball rolls on after landing, e.g. 1d4*5; empty = no bounce
+      throwScatterFormula: '', // Feet a missed throw scatters in a d8 direction, e.g. 1d4*5; empty = lands short on-line
+      fumbleScatterFormula: '1d2*5', // Feet a fumbled ball scatters in a d8 direction; empty = drops at the carrier
       fumbleStartDC: 10,
       fumbleDamageThreshold: 10,
-      fumbleDCIncrease: 2 // New setting for configurable fumble DC increase
+      fumbleDCIncrease: 2, // New setting for configurable fumble DC increase
+      winScore: 0, // 0 = no score limit
+      maxPhases: 0, // 0 = no phase limit
+      maxRounds: 0, // 0 = no combat round limit
+      mercyLead: 0, // 0 = no mercy rule
+      suddenDeath: false,
+      halves: 1, // 1 = no halftime
+      phasesPerHalf: 0,
+      halftimeHeal: true,
+      halftimeShortRest: true,
+      halftimeSwitchSides: true
+    };
+  }
+
+  /**
+   * Defaults of the throw styles a thrower can pick besides the standard throw. maxDistance
+   * 0 means only the throw limit applies; skills are skill IDs, empty = the general skill list.
+   * A lob starts at a higher DC but flies further per step, a bullet pass is short and easy,
+   * and a bounce pass uses the system's agility skills.
+   */
+  static getDefaultThrowStyles() {
+    return {
+      lob: { enabled: false, baseDC: 14, stepDistance: 15, dcIncrease: 2, maxDistance: 0, skills: '', interceptAtThrower: false, interceptAlongPath: false, interceptAtReceiver: true },
+      bullet: { enabled: false, baseDC: 8, stepDistance: 10, dcIncrease: 3, maxDistance: 30, skills: '', interceptAtThrower: true, interceptAlongPath: true, interceptAtReceiver: true },
+      bounce: { enabled: false, baseDC: 10, stepDistance: 10, dcIncrease: 2, maxDistance: 0, skills: ChronoballSystem.adapter.getBouncePassSkills(), interceptAtThrower: true, interceptAlongPath: false, interceptAtReceiver: true }
     };
   }
+
+  /**
+   * Get the throw styles a thrower can pick: the standard throw, which uses the general DC
+   * ladder, skills and interception rules, plus every style enabled in the rules
+   */
+  static getThrowStyles(rules = this.getRules()) {
+    const standard = {
+      id: 'standard',
+      baseDC: rules.baseDC,
+      stepDistance: rules.stepDistance,
+      dcIncrease: rules.dcIncrease,
+      maxDistance: 0,
+      skills: '',
+      interceptAtThrower: !!rules.interceptOnThrow,
+      interceptAlongPath: !!rules.interceptAlongPath,
+      interceptAtReceiver: !!rules.blockAtReceiver
+    };
+
+    const saved = rules.throwStyles ?? {};
+    const styles = Object.entries(this.getDefaultThrowStyles())
+      .map(([id, defaults]) => ({ ...defaults, ...saved[id], id }))
+      .filter(style => style.enabled);
+    return [standard, ...styles];
+  }
+
+  /**
+   * Get a throw style by ID, falling back to the standard throw if it is unknown or disabled
+   */
+  static getThrowStyle(id, rules = this.getRules()) {
+    const styles = this.getThrowStyles(rules);
+    return styles.find(style => style.id === id) ?? styles[0];
+  }
   
   /**
-   * Update rules configuration
+   * Update rules configuration of a scene (the current one by default)
    */
-  static async updateRules(updates) {
-    const scene = canvas.scene;
+  static async updateRules(updates, scene = canvas.scene) {
     if (!scene) return;
     
-    const currentRules = this.getRules();
+    const currentRules = this.getRules(scene);
     const newRules = { ...currentRules, ...updates };
     
     await scene.setFlag(this.FLAG_SCOPE, 'rules', newRules);
@@ -413,26 +824,26 @@ export class ChronoballState {
     }
     
     // Mark the team that just finished attacking
-    const prevAttacking = state.attackingTeam; // 'A' or 'B'
-    const attackedA = state.attackedA || false;
-    const attackedB = state.attackedB || false;
-    const updatedFlags = {
-      attackedA: prevAttacking === 'A' ? true : attackedA,
-      attackedB: prevAttacking === 'B' ? true : attackedB
-    };
+    const teams = this.getTeams(rules);
+    const updatedFlags = { [`attacked${state.attackingTeam}`]: true };
     
-    // Switch attacking/defending teams
-    const newAttacking = state.attackingTeam === 'A' ? 'B' : 'A';
-    const newDefending = state.defendingTeam === 'A' ? 'B' : 'A';
+    // Possession rotates to the next team; the team after it is shown as the defender
+    const newAttacking = this.getNextTeam(state.attackingTeam, rules);
+    const newDefending = this.getNextTeam(newAttacking, rules);
     
     await this.updateState({
       ...updatedFlags,
       attackingTeam: newAttacking,
       defendingTeam: newDefending,
       phase: state.phase + 1,
-      carrierId: null
+      carrierId: null,
+      betweenPhases: true
     });
     
+    // Phase limit reached: the match ends instead of spawning a new ball
+    const ChronoballMatch = (await import('./match.js')).ChronoballMatch;
+    if (await ChronoballMatch.checkWinConditions()) return;
+    
     // Delete old ball token if exists
     const oldBall = this.getBallToken();
     if (oldBall) {
@@ -440,22 +851,34 @@ export class ChronoballState {
       await this.updateState({ ballTokenId: null });
     }
     
+    // Halftime: heal, rest and switch sides before the ball is spawned
+    if (ChronoballMatch.isHalftimeDue(this.getMatchState(), rules)) {
+      await ChronoballMatch.startHalftime();
+    }
+    
     // Spawn ball in NEW attacking team's zone
     await this.spawnBallInAttackingZone();
     
-    // Reroll initiative only after BOTH teams have attacked once
+    // Reroll initiative only after ALL teams have attacked once
     const postState = this.getMatchState();
-    if (postState.attackedA && postState.attackedB) {
+    if (teams.every(team => postState[`attacked${team}`])) {
       const ChronoballRoster = (await import('./roster.js')).ChronoballRoster;
       await ChronoballRoster.rebuildInitiative(false);
       // Reset flags for the next cycle
-      await this.updateState({ attackedA: false, attackedB: false });
-      ChronoballUtils.log('Chronoball | Both teams have attacked since last reroll — initiative rebuilt');
+      await this.updateState(this.getResetAttackedFlags());
+      ChronoballUtils.log('Chronoball | All teams have attacked since last reroll — initiative rebuilt');
     }
     
     ChronoballUtils.log('Chronoball | Phase ended, teams switched, ball spawned in new attacking zone');
   }
   
+  /**
+   * State update that clears the "has attacked" flag of every team
+   */
+  static getResetAttackedFlags() {
+    return Object.fromEntries(this.TEAMS.map(team => [`attacked${team}`, false]));
+  }
+  
   /**
    * Spawn ball in the attacking team's zone (their own endzone/start zone)
    */
@@ -464,31 +887,24 @@ export class ChronoballState {
     const rules = this.getRules();
     
     // Determine which zone to spawn ball in based on attacking team
-    const spawnZoneId = state.attackingTeam === 'A' ? rules.zoneATileId : rules.zoneBTileId;
+    const spawnZoneId = this.getZoneTileId(state.attackingTeam, rules, state);
     
     if (!spawnZoneId) {
       ui.notifications.error('Cannot spawn ball: Endzone not configured');
       return;
     }
     
-    // Extract Tile ID from UUID
-    const zoneIdOnly = spawnZoneId.split('.').pop();
-    const zoneTile = canvas.tiles.get(zoneIdOnly);
+    const spawnPoint = this.getZoneSpawnPoint(spawnZoneId);
     
-    if (!zoneTile) {
-      ui.notifications.error('Cannot spawn ball: Zone tile not found');
+    if (!spawnPoint) {
+      ui.notifications.error('Cannot spawn ball: Endzone not found');
       return;
     }
     
-    // Calculate center of zone
-    const bounds = zoneTile.bounds;
-    const centerX = bounds.x + (bounds.width / 2);
-    const centerY = bounds.y + (bounds.height / 2);
-    
     // Adjust for token size
     const gridSize = canvas.grid.size;
-    const tokenX = centerX - (gridSize / 2);
-    const tokenY = centerY - (gridSize / 2);
+    const tokenX = spawnPoint.x - (gridSize / 2);
+    const tokenY = spawnPoint.y - (gridSize / 2);
     
     // Create ball actor if needed
     let ballActor = game.actors.find(a => a.name === 'Chronoball');
@@ -527,7 +943,7 @@ export class ChronoballState {
     
     if (createdToken) {
       await this.setBallToken(createdToken.id);
-      const teamName = state.attackingTeam === 'A' ? state.teamAName : state.teamBName;
+      const teamName = this.getTeamName(state.attackingTeam, state);
       ChronoballUtils.log(`Chronoball | Ball spawned in Zone ${state.attackingTeam} for ${teamName}`);
     }
   }
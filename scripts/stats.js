@@ -0,0 +1,235 @@
+/**
+ * ChronoballStats - Per-player match statistics, box score and MVP
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballSocket } from './socket.js';
+import { ChronoballChat } from './chat.js';
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballStats {
+  static FLAG_PLAYER_STATS = 'playerStats';
+
+  static STAT_KEYS = [
+    'passesAttempted',
+    'passesCompleted',
+    'throwFeet',
+    'carryFeet',
+    'interceptions',
+    'fumbles',
+    'points',
+    'turnovers'
+  ];
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Player stats initialized');
+  }
+
+  /**
+   * Get the document the stats are stored on (same place as the match state)
+   */
+  static getStatsDocument() {
+    return game.combat || canvas.scene || null;
+  }
+
+  /**
+   * Get the stats of all players of the current match, keyed by actor ID
+   */
+  static getStats() {
+    const doc = this.getStatsDocument();
+    if (!doc) return {};
+    return doc.getFlag(ChronoballState.FLAG_SCOPE, this.FLAG_PLAYER_STATS) || {};
+  }
+
+  static getEmptyStats() {
+    return Object.fromEntries(this.STAT_KEYS.map(key => [key, 0]));
+  }
+
+  /**
+   * Add to the stats of the player behind a token, e.g. record(tokenId, { points: 2 })
+   */
+  static async record(tokenId, changes) {
+    const token = canvas.tokens.get(tokenId);
+    if (!token?.actor) return;
+
+    // Nothing is counted once the match has ended
+    const { ChronoballMatchLog } = await import('./match-log.js');
+    if (ChronoballMatchLog.closed) return;
+
+    await ChronoballSocket.sendToGM('recordStats', {
+      playerId: ChronoballState.getPlayerId(token.document),
+      name: token.name,
+      team: ChronoballState.getTeamAssignment(tokenId),
+      changes
+    });
+  }
+
+  /**
+   * Apply a stats change (GM only, called by socket)
+   */
+  static async applyChanges(playerId, name, team, changes) {
+    const doc = this.getStatsDocument();
+    if (!doc) return;
+
+    const stats = foundry.utils.deepClone(this.getStats());
+    const entry = stats[playerId] || {
+      name,
+      team,
+      ...this.getEmptyStats()
+    };
+
+    for (const [key, value] of Object.entries(changes)) {
+      entry[key] = (entry[key] || 0) + (Number(value) || 0);
+    }
+    stats[playerId] = entry;
+
+    await doc.setFlag(ChronoballState.FLAG_SCOPE, this.FLAG_PLAYER_STATS, stats);
+  }
+
+  /**
+   * Replace the stored stats (used when a play is undone)
+   */
+  static async setStats(stats) {
+    const doc = this.getStatsDocument();
+    if (!doc) return;
+
+    // setFlag merges objects, so unset first to drop removed players
+    await doc.unsetFlag(ChronoballState.FLAG_SCOPE, this.FLAG_PLAYER_STATS);
+    await doc.setFlag(ChronoballState.FLAG_SCOPE, this.FLAG_PLAYER_STATS, stats);
+  }
+
+  /**
+   * Clear the stats for a new match
+   */
+  static async clear() {
+    const doc = this.getStatsDocument();
+    if (!doc) return;
+    await doc.unsetFlag(ChronoballState.FLAG_SCOPE, this.FLAG_PLAYER_STATS);
+  }
+
+  /**
+   * MVP rating: points weigh most, then interceptions and completed passes,
+   * plus one point per 10ft gained. Turnovers count against the player.
+   */
+  static getRating(entry) {
+    return (entry.points || 0) * 10
+      + (entry.interceptions || 0) * 5
+      + (entry.passesCompleted || 0) * 3
+      + Math.floor(((entry.throwFeet || 0) + (entry.carryFeet || 0)) / 10)
+      - (entry.turnovers || 0) * 3;
+  }
+
+  /**
+   * Get the box score rows sorted by rating, best player first
+   */
+  static getBoxScore() {
+    return Object.entries(this.getStats())
+      .map(([playerId, entry]) => ({ playerId, ...entry, rating: this.getRating(entry) }))
+      .sort((a, b) => b.rating - a.rating);
+  }
+
+  /**
+   * Pick the MVP, or null if nobody did anything
+   */
+  static getMVP(rows = this.getBoxScore()) {
+    const best = rows[0];
+    if (!best || best.rating <= 0) return null;
+    return best;
+  }
+
+  /**
+   * Build the box score table HTML
+   */
+  static buildBoxScoreTable(rows, state) {
+    const teamName = team => team ? ChronoballState.getTeamName(team, state) : '—';
+
+    const body = rows.map(row => `
+      <tr>
+        <td>${row.name}</td>
+        <td>${teamName(row.team)}</td>
+        <td>${row.points}</td>
+        <td>${row.passesCompleted}/${row.passesAttempted}</td>
+        <td>${Math.round(row.throwFeet)}</td>
+        <td>${Math.round(row.carryFeet)}</td>
+        <td>${row.interceptions}</td>
+        <td>${row.fumbles}</td>
+        <td>${row.turnovers}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="chronoball-stats-table chronoball-box-score">
+        <thead>
+          <tr>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Player')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Team')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Points')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Passes')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.ThrowFeet')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.CarryFeet')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Interceptions')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Fumbles')}</th>
+            <th>${game.i18n.localize('CHRONOBALL.Stats.Turnovers')}</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Post the box score chat card and write it into a journal entry
+   */
+  static async publishBoxScore(state) {
+    const rows = this.getBoxScore();
+    if (rows.length === 0) return null;
+
+    const mvp = this.getMVP(rows);
+    const mvpText = mvp
+      ? game.i18n.format('CHRONOBALL.Stats.MVP', { name: mvp.name })
+      : game.i18n.localize('CHRONOBALL.Stats.NoMVP');
+    const table = this.buildBoxScoreTable(rows, state);
+
+    const content = `
+      <div class="chronoball-chat-message">
+        <div class="message-header">
+          <span class="message-icon">📊</span>
+          <span class="message-title">${game.i18n.localize('CHRONOBALL.Stats.BoxScoreTitle')}</span>
+        </div>
+        <div class="message-body">
+          <p style="text-align: center; font-weight: bold;">⭐ ${mvpText}</p>
+          ${table}
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+
+    const name = game.i18n.format('CHRONOBALL.Stats.JournalName', {
+      teamA: state.teamAName,
+      teamB: state.teamBName,
+      date: new Date().toLocaleString()
+    });
+
+    const journal = await JournalEntry.create({
+      name,
+      pages: [{
+        name,
+        type: 'text',
+        text: {
+          content: `
+            <h2>${ChronoballState.formatScoreLine(state)}</h2>
+            <h3>⭐ ${mvpText}</h3>
+            ${table}
+          `
+        }
+      }]
+    });
+
+    ChronoballUtils.log('Chronoball | Box score exported to journal:', journal?.id);
+    return journal;
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * ChronoballSystem - Picks the adapter for the active game system
+ */
+
+import { ChronoballSystemAdapter } from './systems/base.js';
+import { ChronoballSimpleAdapter } from './systems/simple.js';
+import { ChronoballDnd5eAdapter } from './systems/dnd5e.js';
+import { ChronoballPf2eAdapter } from './systems/pf2e.js';
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballSystem {
+  static adapters = new Map([
+    [ChronoballDnd5eAdapter.id, ChronoballDnd5eAdapter],
+    [ChronoballPf2eAdapter.id, ChronoballPf2eAdapter]
+  ]);
+  static adapter = ChronoballSimpleAdapter;
+
+  static initialize() {
+    // Other modules register their adapters during init, so pick once all of them ran
+    Hooks.once('setup', () => {
+      Hooks.callAll('chronoball.registerSystemAdapters', this, ChronoballSystemAdapter);
+      // Systems without an adapter use the simple d20 mode configured in the Rules Panel
+      this.adapter = this.adapters.get(game.system.id) ?? ChronoballSimpleAdapter;
+      ChronoballUtils.log(`Chronoball | System adapter: ${this.adapter.id} (system: ${game.system.id})`);
+    });
+  }
+
+  /**
+   * Add an adapter; its id must match the game system id
+   */
+  static register(adapter) {
+    this.adapters.set(adapter.id, adapter);
+  }
+
+  static isSimpleMode() {
+    return this.adapter === ChronoballSimpleAdapter;
+  }
+}
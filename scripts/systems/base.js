@@ -0,0 +1,175 @@
+/**
+ * ChronoballSystemAdapter - Connects Chronoball to the rules of a game system.
+ * Used as is for systems without an adapter: plain d20 rolls, no HP tracking.
+ * System adapters extend it and override what their system provides.
+ */
+
+export class ChronoballSystemAdapter {
+  static id = 'generic';
+  static DEGREES = { CRITICAL_FAILURE: 0, FAILURE: 1, SUCCESS: 2, CRITICAL_SUCCESS: 3 };
+
+  /**
+   * Skills that can be picked for throws and passes, as { id: label }
+   */
+  static getSkills() {
+    return {};
+  }
+
+  /**
+   * Skills offered when the rules have none selected
+   */
+  static getDefaultSkills() {
+    return [{ id: 'd20', label: 'd20' }];
+  }
+
+  /**
+   * Skill IDs a bounce pass uses by default, comma-separated; empty = the throwing skills
+   */
+  static getBouncePassSkills() {
+    return '';
+  }
+
+  /**
+   * Saves an intercepted thrower or receiver can choose from
+   */
+  static getSaveTypes() {
+    return [{ id: 'save', label: game.i18n.localize('CHRONOBALL.System.Save') }];
+  }
+
+  /**
+   * Save used when the owner does not answer in time
+   */
+  static getDefaultSaveType() {
+    return this.getSaveTypes()[0].id;
+  }
+
+  /**
+   * Save the carrier rolls against a fumble
+   */
+  static getFumbleSaveType() {
+    return this.getDefaultSaveType();
+  }
+
+  /**
+   * Roll a skill check. Resolves to the Roll, or null if the roll was cancelled.
+   */
+  static async rollSkill(actor, skill, dc) {
+    const advantage = await this.askForAdvantage();
+    let formula = '1d20';
+    if (advantage === 1) formula = '2d20kh';
+    if (advantage === -1) formula = '2d20kl';
+    return new Roll(formula).evaluate();
+  }
+
+  /**
+   * Roll a save. Resolves to the Roll, or null if the roll was cancelled.
+   */
+  static async rollSave(actor, saveType, dc) {
+    return new Roll('1d20').evaluate();
+  }
+
+  /**
+   * Degree of success of a roll against a DC, or null if the system has no degrees
+   */
+  static getDegreeOfSuccess(roll, dc) {
+    return null;
+  }
+
+  static isSuccess(roll, dc) {
+    const degree = this.getDegreeOfSuccess(roll, dc);
+    if (degree === null) return roll.total >= dc;
+    return degree >= this.DEGREES.SUCCESS;
+  }
+
+  /**
+   * DC to beat when this actor tries to intercept
+   */
+  static getInterceptionDC(actor) {
+    return 8;
+  }
+
+  /**
+   * Data paths of current, temporary and maximum HP, or null if HP are not tracked
+   */
+  static getHPPaths() {
+    return null;
+  }
+
+  static hasHP(actor) {
+    const paths = this.getHPPaths();
+    return !!actor && !!paths && foundry.utils.getProperty(actor, paths.value) !== undefined;
+  }
+
+  static getHP(actor) {
+    if (!this.hasHP(actor)) return null;
+    const paths = this.getHPPaths();
+    return {
+      value: Number(foundry.utils.getProperty(actor, paths.value) ?? 0),
+      temp: Number(foundry.utils.getProperty(actor, paths.temp) ?? 0),
+      max: Number(foundry.utils.getProperty(actor, paths.max) ?? 0)
+    };
+  }
+
+  static getTempHP(actor) {
+    return this.getHP(actor)?.temp ?? 0;
+  }
+
+  static async setTempHP(actor, value) {
+    const paths = this.getHPPaths();
+    if (!this.hasHP(actor) || !paths.temp) return;
+    await actor.update({ [paths.temp]: value });
+  }
+
+  /**
+   * Restore an actor to full HP and remove temp HP
+   */
+  static async healFull(actor) {
+    const paths = this.getHPPaths();
+    if (!this.hasHP(actor)) return;
+
+    const updates = { [paths.value]: this.getHP(actor).max };
+    if (paths.temp) updates[paths.temp] = 0;
+    await actor.update(updates);
+  }
+
+  /**
+   * Damage an actor update is about to deal (current plus temp HP lost), 0 if none
+   */
+  static getDamageFromUpdate(actor, changes) {
+    const paths = this.getHPPaths();
+    if (!this.hasHP(actor)) return 0;
+
+    const flatChanges = foundry.utils.flattenObject(changes);
+    if (!(paths.value in flatChanges) && !(paths.temp in flatChanges)) return 0;
+
+    const old = this.getHP(actor);
+    const newValue = Number(flatChanges[paths.value] ?? old.value) || 0;
+    const newTemp = paths.temp ? Number(flatChanges[paths.temp] ?? old.temp) || 0 : old.temp;
+
+    return (old.value + old.temp) - (newValue + newTemp);
+  }
+
+  static async askForAdvantage() {
+    return new Promise((resolve) => {
+      new Dialog({
+        title: 'Roll Mode',
+        content: '<p>Choose roll mode:</p>',
+        buttons: {
+          advantage: {
+            label: 'Advantage',
+            callback: () => resolve(1)
+          },
+          normal: {
+            label: 'Normal',
+            callback: () => resolve(0)
+          },
+          disadvantage: {
+            label: 'Disadvantage',
+            callback: () => resolve(-1)
+          }
+        },
+        default: 'normal'
+      }).render(true);
+    });
+  }
+}
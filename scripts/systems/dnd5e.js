@@ -0,0 +1,98 @@
+/**
+ * ChronoballDnd5eAdapter - D&D 5e: skill checks, ability saves, hit points and proficiency
+ */
+
+import { ChronoballSystemAdapter } from './base.js';
+import { ChronoballUtils } from '../utils.js';
+
+export class ChronoballDnd5eAdapter extends ChronoballSystemAdapter {
+  static id = 'dnd5e';
+
+  static getSkills() {
+    return {
+      acr: "Acrobatics",
+      ani: "Animal Handling",
+      arc: "Arcana",
+      ath: "Athletics",
+      dec: "Deception",
+      his: "History",
+      ins: "Insight",
+      itm: "Intimidation",
+      inv: "Investigation",
+      med: "Medicine",
+      nat: "Nature",
+      prc: "Perception",
+      prf: "Performance",
+      per: "Persuasion",
+      rel: "Religion",
+      slt: "Sleight of Hand",
+      ste: "Stealth",
+      sur: "Survival"
+    };
+  }
+
+  static getDefaultSkills() {
+    return [
+      { id: 'ath', label: 'Athletics' },
+      { id: 'slt', label: 'Sleight of Hand' },
+      { id: 'acr', label: 'Acrobatics' }
+    ];
+  }
+
+  static getBouncePassSkills() {
+    return 'acr,slt';
+  }
+
+  static getSaveTypes() {
+    return [
+      { id: 'str', label: 'STR Save' },
+      { id: 'dex', label: 'DEX Save' }
+    ];
+  }
+
+  static getDefaultSaveType() {
+    return 'dex';
+  }
+
+  static getFumbleSaveType() {
+    return 'con';
+  }
+
+  static async rollSkill(actor, skill, dc) {
+    if (!actor.system.skills?.[skill]) return super.rollSkill(actor, skill, dc);
+
+    // Use the D&D 5e roll dialog (DnD5e 4.1+ API)
+    const rolls = await actor.rollSkill({ skill, targetValue: dc }, {}, { create: false });
+    return rolls?.[0] || null;
+  }
+
+  static async rollSave(actor, saveType, dc) {
+    if (!actor.system.abilities?.[saveType]) return super.rollSave(actor, saveType, dc);
+
+    // rollSavingThrow(config, dialog, message)
+    const rolls = await actor.rollSavingThrow({ ability: saveType, targetValue: dc }, {}, { create: false });
+    return rolls?.[0] || null;
+  }
+
+  /**
+   * DC = 8 + higher of (STR or DEX) modifier + Proficiency Bonus
+   */
+  static getInterceptionDC(actor) {
+    const strMod = actor.system.abilities?.str?.mod || 0;
+    const dexMod = actor.system.abilities?.dex?.mod || 0;
+    const abilityMod = Math.max(strMod, dexMod);
+    const profBonus = actor.system.attributes?.prof || 0;
+
+    const dc = 8 + abilityMod + profBonus;
+    ChronoballUtils.log(`Chronoball | Interception DC for ${actor.name}: 8 + ${abilityMod} (ability) + ${profBonus} (prof) = ${dc}`);
+    return dc;
+  }
+
+  static getHPPaths() {
+    return {
+      value: 'system.attributes.hp.value',
+      temp: 'system.attributes.hp.temp',
+      max: 'system.attributes.hp.max'
+    };
+  }
+}
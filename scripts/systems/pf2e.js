@@ -0,0 +1,121 @@
+/**
+ * ChronoballPf2eAdapter - Pathfinder 2e: Statistic checks with degrees of success,
+ * Reflex/Athletics DCs for interceptions and Fortitude saves against fumbles
+ */
+
+import { ChronoballSystemAdapter } from './base.js';
+import { ChronoballUtils } from '../utils.js';
+
+export class ChronoballPf2eAdapter extends ChronoballSystemAdapter {
+  static id = 'pf2e';
+
+  static getSkills() {
+    return {
+      acrobatics: "Acrobatics",
+      arcana: "Arcana",
+      athletics: "Athletics",
+      crafting: "Crafting",
+      deception: "Deception",
+      diplomacy: "Diplomacy",
+      intimidation: "Intimidation",
+      medicine: "Medicine",
+      nature: "Nature",
+      occultism: "Occultism",
+      performance: "Performance",
+      religion: "Religion",
+      society: "Society",
+      stealth: "Stealth",
+      survival: "Survival",
+      thievery: "Thievery"
+    };
+  }
+
+  static getDefaultSkills() {
+    return [
+      { id: 'athletics', label: 'Athletics' },
+      { id: 'acrobatics', label: 'Acrobatics' },
+      { id: 'thievery', label: 'Thievery' }
+    ];
+  }
+
+  static getBouncePassSkills() {
+    return 'acrobatics,thievery';
+  }
+
+  static getSaveTypes() {
+    return [
+      { id: 'reflex', label: 'Reflex Save' },
+      { id: 'athletics', label: 'Athletics Check' }
+    ];
+  }
+
+  static getDefaultSaveType() {
+    return 'reflex';
+  }
+
+  static getFumbleSaveType() {
+    return 'fortitude';
+  }
+
+  /**
+   * Roll a PF2e Statistic against a DC. Resolves to the CheckRoll, or null if cancelled.
+   */
+  static async rollStatistic(statistic, dc) {
+    const roll = await statistic.roll({ dc: { value: dc }, createMessage: false });
+    return roll ?? null;
+  }
+
+  static async rollSkill(actor, skill, dc) {
+    const statistic = actor.skills?.[skill];
+    if (!statistic) return super.rollSkill(actor, skill, dc);
+    return this.rollStatistic(statistic, dc);
+  }
+
+  /**
+   * Saves are Fortitude, Reflex or Will; an intercepted player may also answer with a skill
+   */
+  static async rollSave(actor, saveType, dc) {
+    const statistic = actor.saves?.[saveType] ?? actor.skills?.[saveType];
+    if (!statistic) return super.rollSave(actor, saveType, dc);
+    return this.rollStatistic(statistic, dc);
+  }
+
+  /**
+   * Beat the DC by 10 for a critical success, miss it by 10 for a critical failure.
+   * A natural 20 or 1 moves the result one step. Worked out from the total so that
+   * bonuses added in the roll modification dialog count.
+   */
+  static getDegreeOfSuccess(roll, dc) {
+    const { DEGREES } = this;
+    let degree = DEGREES.FAILURE;
+    if (roll.total >= dc + 10) degree = DEGREES.CRITICAL_SUCCESS;
+    else if (roll.total >= dc) degree = DEGREES.SUCCESS;
+    else if (roll.total <= dc - 10) degree = DEGREES.CRITICAL_FAILURE;
+
+    const die = roll.dice?.[0]?.total;
+    if (die === 20) degree = Math.min(degree + 1, DEGREES.CRITICAL_SUCCESS);
+    if (die === 1) degree = Math.max(degree - 1, DEGREES.CRITICAL_FAILURE);
+    return degree;
+  }
+
+  /**
+   * DC = higher of the interceptor's Reflex DC or Athletics DC
+   */
+  static getInterceptionDC(actor) {
+    const reflexDC = actor.saves?.reflex?.dc?.value ?? 0;
+    const athleticsDC = actor.skills?.athletics?.dc?.value ?? 0;
+    const dc = Math.max(reflexDC, athleticsDC);
+    if (!dc) return super.getInterceptionDC(actor);
+
+    ChronoballUtils.log(`Chronoball | Interception DC for ${actor.name}: max(${reflexDC} Reflex DC, ${athleticsDC} Athletics DC) = ${dc}`);
+    return dc;
+  }
+
+  static getHPPaths() {
+    return {
+      value: 'system.attributes.hp.value',
+      temp: 'system.attributes.hp.temp',
+      max: 'system.attributes.hp.max'
+    };
+  }
+}
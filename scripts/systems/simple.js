@@ -0,0 +1,101 @@
+/**
+ * ChronoballSimpleAdapter - "Simple d20" mode for game systems without an adapter.
+ * The GM sets the HP data paths and the bonuses for throws, interceptions and fumble
+ * saves in the Rules Panel. With nothing configured it rolls a plain d20.
+ */
+
+import { ChronoballSystemAdapter } from './base.js';
+import { ChronoballState } from '../state.js';
+import { ChronoballUtils } from '../utils.js';
+
+export class ChronoballSimpleAdapter extends ChronoballSystemAdapter {
+  static id = 'simple';
+
+  static getFumbleSaveType() {
+    return 'fumble';
+  }
+
+  /**
+   * Turn a data path into a path on the actor: '@attributes.hp.value' and
+   * 'attributes.hp.value' both read 'system.attributes.hp.value'
+   */
+  static toActorPath(path) {
+    const clean = (path || '').trim().replace(/^@/, '');
+    if (!clean) return '';
+    return clean.startsWith('system.') || clean.startsWith('flags.') ? clean : `system.${clean}`;
+  }
+
+  /**
+   * Resolve a configured bonus for an actor. A bonus is a number, a data path
+   * (system.skills.ath.value) or a roll formula with @ actor data (@abilities.dex.mod + 2).
+   * Returns a formula term, '0' if nothing is configured.
+   */
+  static getBonusTerm(actor, bonus) {
+    const value = String(bonus ?? '').trim();
+    if (!value) return '0';
+
+    // A bare data path reads the actor; anything with @ goes through the roll data
+    if (/^[a-zA-Z_][\w.]*$/.test(value)) {
+      return String(Number(foundry.utils.getProperty(actor, this.toActorPath(value))) || 0);
+    }
+
+    const term = Roll.replaceFormulaData(value, actor?.getRollData?.() ?? {}, { missing: '0' });
+    return Roll.validate(term) ? `(${term})` : '0';
+  }
+
+  static async rollWithBonus(actor, bonus, dc, askAdvantage) {
+    const advantage = askAdvantage ? await this.askForAdvantage() : 0;
+    let die = '1d20';
+    if (advantage === 1) die = '2d20kh';
+    if (advantage === -1) die = '2d20kl';
+
+    const term = this.getBonusTerm(actor, bonus);
+    const formula = term === '0' ? die : `${die} + ${term}`;
+    ChronoballUtils.log(`Chronoball | Simple d20 roll for ${actor?.name}: ${formula} vs DC ${dc}`);
+    return new Roll(formula).evaluate();
+  }
+
+  static async rollSkill(actor, skill, dc) {
+    return this.rollWithBonus(actor, ChronoballState.getRules().simpleThrowBonus, dc, true);
+  }
+
+  /**
+   * Fumble saves use the fumble save bonus; saves against an interception use the throw bonus
+   */
+  static async rollSave(actor, saveType, dc) {
+    const rules = ChronoballState.getRules();
+    const bonus = saveType === this.getFumbleSaveType() ? rules.simpleFumbleSaveBonus : rules.simpleThrowBonus;
+    return this.rollWithBonus(actor, bonus, dc, false);
+  }
+
+  /**
+   * DC = 8 + interception bonus
+   */
+  static getInterceptionDC(actor) {
+    const term = this.getBonusTerm(actor, ChronoballState.getRules().simpleInterceptBonus);
+    let bonus = 0;
+    try {
+      bonus = Number(Roll.safeEval(term)) || 0;
+    } catch (error) {
+      console.warn(`Chronoball | Interception bonus "${term}" is not a number, using 0:`, error);
+    }
+    return 8 + bonus;
+  }
+
+  static getHPPaths() {
+    const rules = ChronoballState.getRules();
+    const value = this.toActorPath(rules.simpleHPPath);
+    if (!value) return null;
+
+    return {
+      value,
+      temp: this.toActorPath(rules.simpleTempHPPath),
+      max: this.toActorPath(rules.simpleMaxHPPath)
+    };
+  }
+
+  static async healFull(actor) {
+    if (!this.getHPPaths()?.max) return;
+    return super.healFull(actor);
+  }
+}
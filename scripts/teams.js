@@ -0,0 +1,243 @@
+/**
+ * ChronoballTeams - Saved team identities: name, colours, logo, default roster and chant
+ */
+
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballTeams {
+  static SETTING = 'teamIdentities';
+  static TINT_FLAG = 'originalTint';
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Team identities initialized');
+  }
+
+  /**
+   * Register the hidden world setting that holds the team identities
+   */
+  static registerSettings() {
+    game.settings.register('chronoball', this.SETTING, {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {}
+    });
+  }
+
+  static getDefaultIdentity() {
+    return {
+      id: null,
+      name: '',
+      primaryColor: '#2196F3',
+      secondaryColor: '#ffffff',
+      logo: '',
+      actorIds: [],
+      chant: ''
+    };
+  }
+
+  static getIdentities() {
+    return game.settings.get('chronoball', this.SETTING) || {};
+  }
+
+  /**
+   * Get all identities sorted by name
+   */
+  static getIdentityList() {
+    return Object.values(this.getIdentities()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static getIdentity(id) {
+    if (!id) return null;
+    return this.getIdentities()[id] ?? null;
+  }
+
+  /**
+   * Get the identity picked for a side of the current match
+   */
+  static getSideIdentity(team, state) {
+    return this.getIdentity(state?.[`team${team}Identity`]);
+  }
+
+  static async saveIdentities(identities) {
+    await game.settings.set('chronoball', this.SETTING, identities);
+    Hooks.callAll('chronoball.teamsChanged', identities);
+  }
+
+  /**
+   * Create or update an identity (GM only). Returns the saved identity.
+   */
+  static async saveIdentity(data) {
+    if (!game.user.isGM) return null;
+
+    const identities = foundry.utils.deepClone(this.getIdentities());
+    const id = data.id || foundry.utils.randomID();
+    const identity = foundry.utils.mergeObject(this.getDefaultIdentity(), { ...identities[id], ...data, id }, { inplace: false });
+    identity.name = (identity.name || '').trim() || game.i18n.localize('CHRONOBALL.Teams.DefaultName');
+
+    identities[id] = identity;
+    await this.saveIdentities(identities);
+    return identity;
+  }
+
+  static async deleteIdentity(id) {
+    if (!game.user.isGM) return;
+
+    // Sides playing with the identity lose it, and their tints
+    const { ChronoballState } = await import('./state.js');
+    const state = ChronoballState.getMatchState();
+    for (const team of ChronoballState.TEAMS) {
+      if (state?.[`team${team}Identity`] === id) await this.assignToSide(team, '');
+    }
+
+    const identities = foundry.utils.deepClone(this.getIdentities());
+    delete identities[id];
+    await this.saveIdentities(identities);
+  }
+
+  /**
+   * Pick an identity for a side (GM only): sets the team name, assigns the default
+   * roster if its actors are on the scene and tints tokens and endzone.
+   * An empty ID clears the pick and restores the side's original colours.
+   */
+  static async assignToSide(team, identityId) {
+    if (!game.user.isGM) return;
+
+    const { ChronoballState } = await import('./state.js');
+    const identity = this.getIdentity(identityId);
+
+    await ChronoballState.updateState({
+      [`team${team}Identity`]: identity?.id ?? null,
+      [`team${team}Name`]: identity?.name ?? `Team ${team}`
+    });
+
+    if (identity?.actorIds.length > 0) {
+      const { ChronoballRoster } = await import('./roster.js');
+      await ChronoballRoster.assignActors(team, identity.actorIds);
+    }
+
+    if (identity) {
+      await this.applyTints(team);
+    } else {
+      await this.restoreTints(team);
+    }
+  }
+
+  /**
+   * Tint the token rings and the endzone tile of a side in its identity colours (GM only)
+   */
+  static async applyTints(team) {
+    if (!game.user.isGM || !canvas.scene) return;
+
+    const { ChronoballState } = await import('./state.js');
+    const identity = this.getSideIdentity(team, ChronoballState.getMatchState());
+    if (!identity) return;
+
+    // The colours from before the first tint are kept in a flag, so they can be restored
+    const tokenUpdates = ChronoballState.getTeamRoster(team).map(token => ({
+      _id: token.id,
+      ...this.getOriginalTintUpdate(token.document),
+      'ring.colors.ring': identity.primaryColor,
+      'ring.colors.background': identity.secondaryColor
+    }));
+    if (tokenUpdates.length > 0) {
+      await canvas.scene.updateEmbeddedDocuments('Token', tokenUpdates);
+    }
+
+    // Tiles are tinted, regions take the colour as their fill
+    const zone = ChronoballState.getZone(ChronoballState.getZoneTileId(team));
+    if (zone?.documentName === 'Tile') {
+      await zone.update({ ...this.getOriginalTintUpdate(zone), 'texture.tint': identity.primaryColor });
+    } else if (zone?.documentName === 'Region') {
+      await zone.update({ ...this.getOriginalTintUpdate(zone), color: identity.primaryColor });
+    }
+  }
+
+  /**
+   * Flag update that saves a token's, tile's or region's colours before its first tint
+   */
+  static getOriginalTintUpdate(doc) {
+    if (doc.getFlag('chronoball', this.TINT_FLAG)) return {};
+
+    let original;
+    if (doc.documentName === 'Token') {
+      original = { ring: doc.ring.colors.ring ?? null, background: doc.ring.colors.background ?? null };
+    } else if (doc.documentName === 'Tile') {
+      original = { tint: doc.texture.tint ?? null };
+    } else {
+      original = { color: doc.color ?? null };
+    }
+    return { [`flags.chronoball.${this.TINT_FLAG}`]: original };
+  }
+
+  /**
+   * Update that puts back the colours saved before the first tint and drops the flag
+   */
+  static getRestoreTintUpdate(doc) {
+    const original = doc.getFlag('chronoball', this.TINT_FLAG);
+    if (!original) return null;
+
+    const update = { [`flags.chronoball.-=${this.TINT_FLAG}`]: null };
+    if (doc.documentName === 'Token') {
+      update['ring.colors.ring'] = original.ring;
+      update['ring.colors.background'] = original.background;
+    } else if (doc.documentName === 'Tile') {
+      update['texture.tint'] = original.tint;
+    } else {
+      update.color = original.color;
+    }
+    return update;
+  }
+
+  /**
+   * Restore the original colours of a side's tokens and endzone, or of everything
+   * tinted on the scene when no team is given (GM only)
+   */
+  static async restoreTints(team = null) {
+    if (!game.user.isGM || !canvas.scene) return;
+
+    const { ChronoballState } = await import('./state.js');
+    const tokens = team ? ChronoballState.getTeamRoster(team).map(token => token.document) : canvas.scene.tokens.contents;
+    const tokenUpdates = tokens
+      .map(token => {
+        const update = this.getRestoreTintUpdate(token);
+        return update && { _id: token.id, ...update };
+      })
+      .filter(Boolean);
+    if (tokenUpdates.length > 0) {
+      await canvas.scene.updateEmbeddedDocuments('Token', tokenUpdates);
+    }
+
+    const zones = team
+      ? [ChronoballState.getZone(ChronoballState.getZoneTileId(team))].filter(Boolean)
+      : [...canvas.scene.tiles.contents, ...canvas.scene.regions.contents];
+    for (const zone of zones) {
+      const update = this.getRestoreTintUpdate(zone);
+      if (update) await zone.update(update);
+    }
+  }
+
+  /**
+   * Re-apply the tints of every side, e.g. after the teams switched endzones. A side
+   * without an identity gets the original colours of its new endzone back.
+   */
+  static async applyAllTints() {
+    const { ChronoballState } = await import('./state.js');
+    const state = ChronoballState.getMatchState();
+    for (const team of ChronoballState.getTeams()) {
+      if (this.getSideIdentity(team, state)) {
+        await this.applyTints(team);
+      } else {
+        await this.restoreTints(team);
+      }
+    }
+  }
+
+  /**
+   * Small logo image for chat cards and the HUD, or an empty string
+   */
+  static getLogoHTML(identity, size = 24) {
+    if (!identity?.logo) return '';
+    return `<img class="chronoball-team-logo" src="${identity.logo}" width="${size}" height="${size}" style="border: none; vertical-align: middle;">`;
+  }
+}
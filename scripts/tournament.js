@@ -0,0 +1,553 @@
+/**
+ * ChronoballTournament - Bracket manager: single/double elimination and round robin
+ */
+
+import { ChronoballState } from './state.js';
+import { ChronoballChat } from './chat.js';
+import { ChronoballUtils } from './utils.js';
+import { ChronoballLeague } from './league.js';
+import { ChronoballRoster } from './roster.js';
+
+export class ChronoballTournament {
+  static SETTING = 'tournament';
+  static FORMATS = ['single', 'double', 'roundRobin'];
+  static TIE_BREAKS = ['overtime', 'gmPick'];
+  static MIN_TEAMS = 3;
+  static MAX_TEAMS = 16;
+
+  static initialize() {
+    ChronoballUtils.log('Chronoball | Tournament manager initialized');
+  }
+
+  /**
+   * Register the hidden world setting that holds the running tournament
+   */
+  static registerSettings() {
+    game.settings.register('chronoball', this.SETTING, {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: null
+    });
+  }
+
+  static getTournament() {
+    const tournament = game.settings.get('chronoball', this.SETTING);
+    return tournament?.fixtures ? foundry.utils.deepClone(tournament) : null;
+  }
+
+  static async saveTournament(tournament) {
+    await game.settings.set('chronoball', this.SETTING, tournament);
+    Hooks.callAll('chronoball.tournamentChanged', tournament);
+  }
+
+  /**
+   * Create a new tournament (GM only). Teams are seeded in the given order.
+   */
+  static async create({ name, format, tieBreak = 'overtime', teamNames = [] }) {
+    if (!game.user.isGM) return null;
+
+    const names = teamNames.map(n => n.trim()).filter(Boolean);
+    const unique = new Set(names.map(n => n.toLowerCase()));
+
+    if (!this.FORMATS.includes(format)) {
+      ui.notifications.error(game.i18n.localize('CHRONOBALL.Errors.TournamentFormat'));
+      return null;
+    }
+
+    if (names.length < this.MIN_TEAMS || names.length > this.MAX_TEAMS || unique.size !== names.length) {
+      ui.notifications.error(game.i18n.format('CHRONOBALL.Errors.TournamentTeams', { min: this.MIN_TEAMS, max: this.MAX_TEAMS }));
+      return null;
+    }
+
+    const teams = names.map(teamName => ({ id: foundry.utils.randomID(), name: teamName, actorIds: [] }));
+
+    let fixtures;
+    if (format === 'roundRobin') {
+      fixtures = this.buildRoundRobin(teams);
+    } else {
+      fixtures = this.buildElimination(teams, format === 'double');
+    }
+
+    const tournament = {
+      id: foundry.utils.randomID(),
+      name: name?.trim() || game.i18n.localize('CHRONOBALL.Tournament.DefaultName'),
+      format,
+      tieBreak: this.TIE_BREAKS.includes(tieBreak) ? tieBreak : 'overtime',
+      teams,
+      fixtures,
+      currentFixtureId: null,
+      championId: null
+    };
+
+    this.resolveFixtures(tournament);
+    await this.saveTournament(tournament);
+
+    ChronoballUtils.log('Chronoball | Tournament created:', tournament);
+    return tournament;
+  }
+
+  /**
+   * Delete the tournament (GM only)
+   */
+  static async delete() {
+    if (!game.user.isGM) return;
+    await this.saveTournament(null);
+  }
+
+  static createFixture(bracket, round, slots) {
+    return {
+      id: foundry.utils.randomID(),
+      bracket,
+      round,
+      slots,
+      scores: null,
+      winner: null,
+      loser: null,
+      bye: false,
+      status: 'pending'
+    };
+  }
+
+  static teamSlot(team) {
+    return { teamId: team?.id ?? null, source: null, bye: !team };
+  }
+
+  static sourceSlot(fixture, take) {
+    return { teamId: null, source: { fixtureId: fixture.id, take }, bye: false };
+  }
+
+  /**
+   * Standard seed order for a bracket size, so the top seeds meet as late as possible
+   * (e.g. 8 -> 1, 8, 4, 5, 2, 7, 3, 6)
+   */
+  static getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const next = order.length * 2 + 1;
+      order = order.flatMap(seed => [seed, next - seed]);
+    }
+    return order;
+  }
+
+  /**
+   * Build an elimination bracket. Missing seeds become byes for the top seeds.
+   * Double elimination adds a losers bracket, a grand final and a bracket reset.
+   */
+  static buildElimination(teams, double = false) {
+    const size = 2 ** Math.ceil(Math.log2(teams.length));
+    const seeds = this.getSeedOrder(size);
+    const fixtures = [];
+
+    // Winners bracket
+    const winnersRounds = [];
+    let round = [];
+    for (let i = 0; i < size; i += 2) {
+      round.push(this.createFixture('winners', 1, [
+        this.teamSlot(teams[seeds[i] - 1]),
+        this.teamSlot(teams[seeds[i + 1] - 1])
+      ]));
+    }
+    winnersRounds.push(round);
+
+    while (round.length > 1) {
+      const roundNumber = winnersRounds.length + 1;
+      const next = [];
+      for (let i = 0; i < round.length; i += 2) {
+        next.push(this.createFixture('winners', roundNumber, [
+          this.sourceSlot(round[i], 'winner'),
+          this.sourceSlot(round[i + 1], 'winner')
+        ]));
+      }
+      winnersRounds.push(next);
+      round = next;
+    }
+    winnersRounds.forEach(r => fixtures.push(...r));
+
+    if (!double) return fixtures;
+
+    // Losers bracket: first round pairs the losers of winners round 1, then rounds
+    // alternate between dropping in the losers of the next winners round and
+    // pairing the survivors among themselves
+    const losersRounds = [];
+    let losers = [];
+    const firstRound = winnersRounds[0];
+    for (let i = 0; i < firstRound.length; i += 2) {
+      losers.push(this.createFixture('losers', 1, [
+        this.sourceSlot(firstRound[i], 'loser'),
+        this.sourceSlot(firstRound[i + 1], 'loser')
+      ]));
+    }
+    losersRounds.push(losers);
+
+    for (let w = 1; w < winnersRounds.length; w++) {
+      const dropIn = winnersRounds[w];
+      const merged = losers.map((fixture, i) => this.createFixture('losers', losersRounds.length + 1, [
+        this.sourceSlot(fixture, 'winner'),
+        this.sourceSlot(dropIn[dropIn.length - 1 - i], 'loser')
+      ]));
+      losersRounds.push(merged);
+      losers = merged;
+
+      if (losers.length > 1) {
+        const paired = [];
+        for (let i = 0; i < losers.length; i += 2) {
+          paired.push(this.createFixture('losers', losersRounds.length + 1, [
+            this.sourceSlot(losers[i], 'winner'),
+            this.sourceSlot(losers[i + 1], 'winner')
+          ]));
+        }
+        losersRounds.push(paired);
+        losers = paired;
+      }
+    }
+    losersRounds.forEach(r => fixtures.push(...r));
+
+    // Grand final: winners bracket champion against losers bracket champion
+    const final = this.createFixture('final', 1, [
+      this.sourceSlot(winnersRounds[winnersRounds.length - 1][0], 'winner'),
+      this.sourceSlot(losers[0], 'winner')
+    ]);
+    fixtures.push(final);
+
+    // Bracket reset: only played if the losers bracket champion wins the grand
+    // final, so both finalists have lost once
+    const reset = this.createFixture('final', 2, [
+      this.sourceSlot(final, 'winner'),
+      this.sourceSlot(final, 'loser')
+    ]);
+    reset.reset = true;
+    fixtures.push(reset);
+
+    return fixtures;
+  }
+
+  /**
+   * Build a round robin schedule with the circle method
+   */
+  static buildRoundRobin(teams) {
+    const fixtures = [];
+    let list = teams.map(t => t.id);
+    if (list.length % 2 === 1) list.push(null);
+
+    const teamsById = Object.fromEntries(teams.map(t => [t.id, t]));
+    const count = list.length;
+
+    for (let round = 1; round < count; round++) {
+      for (let i = 0; i < count / 2; i++) {
+        const a = list[i];
+        const b = list[count - 1 - i];
+        if (!a || !b) continue; // Bye this round
+        fixtures.push(this.createFixture('league', round, [
+          this.teamSlot(teamsById[a]),
+          this.teamSlot(teamsById[b])
+        ]));
+      }
+      list = [list[0], list[count - 1], ...list.slice(1, count - 1)];
+    }
+
+    return fixtures;
+  }
+
+  /**
+   * Fill fixture slots from finished fixtures, advance byes and mark fixtures
+   * ready once both teams are known. Skips the bracket reset when the grand
+   * final did not need one. Also updates the champion.
+   */
+  static resolveFixtures(tournament) {
+    const byId = Object.fromEntries(tournament.fixtures.map(f => [f.id, f]));
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      for (const fixture of tournament.fixtures) {
+        if (fixture.status === 'done' || fixture.status === 'skipped') continue;
+
+        if (fixture.reset) {
+          const final = byId[fixture.slots[0].source.fixtureId];
+          if (final?.status === 'done' && final.winner === final.slots[0].teamId) {
+            // The winners bracket champion kept its unbeaten record: no reset needed
+            fixture.winner = final.winner;
+            fixture.status = 'skipped';
+            changed = true;
+            continue;
+          }
+        }
+
+        for (const slot of fixture.slots) {
+          if (slot.teamId || slot.bye || !slot.source) continue;
+          const source = byId[slot.source.fixtureId];
+          if (source?.status !== 'done') continue;
+
+          const teamId = source[slot.source.take];
+          if (teamId) {
+            slot.teamId = teamId;
+          } else {
+            slot.bye = true;
+          }
+          changed = true;
+        }
+
+        if (!fixture.slots.every(s => s.teamId || s.bye)) continue;
+
+        if (fixture.slots.some(s => s.bye)) {
+          // Walkover: the team without an opponent advances, nobody drops down
+          fixture.winner = fixture.slots.find(s => s.teamId)?.teamId ?? null;
+          fixture.loser = null;
+          fixture.bye = true;
+          fixture.status = 'done';
+          changed = true;
+        } else if (fixture.status === 'pending') {
+          fixture.status = 'ready';
+          changed = true;
+        }
+      }
+    }
+
+    tournament.championId = this.getChampionId(tournament);
+    return tournament;
+  }
+
+  /**
+   * Get the champion's team ID, or null while the tournament is running
+   */
+  static getChampionId(tournament) {
+    const fixtures = tournament.fixtures;
+
+    if (tournament.format === 'roundRobin') {
+      if (fixtures.some(f => f.status !== 'done')) return null;
+      return this.getRoundRobinStandings(tournament)[0]?.teamId ?? null;
+    }
+
+    const last = fixtures[fixtures.length - 1];
+    return ['done', 'skipped'].includes(last?.status) ? last.winner : null;
+  }
+
+  /**
+   * Round robin table, computed like the league standings
+   */
+  static getRoundRobinStandings(tournament) {
+    const league = {
+      teams: Object.fromEntries(tournament.teams.map(t => [t.id, t])),
+      matches: tournament.fixtures
+        .filter(f => f.status === 'done' && !f.bye)
+        .map(f => ({
+          season: 0,
+          teamA: { id: f.slots[0].teamId, score: f.scores?.A ?? 0 },
+          teamB: { id: f.slots[1].teamId, score: f.scores?.B ?? 0 },
+          winner: f.winner
+        }))
+    };
+
+    const standings = ChronoballLeague.getStandings(0, league);
+    // Teams that have not played yet still belong in the table
+    for (const team of tournament.teams) {
+      if (!standings.some(row => row.teamId === team.id)) {
+        standings.push({ teamId: team.id, name: team.name, played: 0, won: 0, drawn: 0, lost: 0, pointsFor: 0, pointsAgainst: 0, diff: 0, leaguePoints: 0 });
+      }
+    }
+    return standings;
+  }
+
+  static getTeam(tournament, teamId) {
+    return tournament.teams.find(t => t.id === teamId) || null;
+  }
+
+  /**
+   * Get the next fixture that can be played
+   */
+  static getNextFixture(tournament = this.getTournament()) {
+    if (!tournament || tournament.championId) return null;
+    return tournament.fixtures.find(f => f.status === 'ready') || null;
+  }
+
+  /**
+   * Describe a fixture as "Team 1 vs Team 2"
+   */
+  static describeFixture(tournament, fixture) {
+    const [teamA, teamB] = fixture.slots.map(s => this.getTeam(tournament, s.teamId)?.name ?? '?');
+    return `${teamA} vs ${teamB}`;
+  }
+
+  /**
+   * Get the fixture currently being played, if any
+   */
+  static getCurrentFixture(tournament = this.getTournament()) {
+    if (!tournament?.currentFixtureId) return null;
+    return tournament.fixtures.find(f => f.id === tournament.currentFixtureId) || null;
+  }
+
+  /**
+   * Knockout fixtures must produce a winner
+   */
+  static isKnockout(fixture) {
+    return fixture.bracket !== 'league';
+  }
+
+  /**
+   * Whether a tie in the running match has to go to sudden death
+   */
+  static requiresOvertime() {
+    const tournament = this.getTournament();
+    const fixture = this.getCurrentFixture(tournament);
+    return !!fixture && this.isKnockout(fixture) && tournament.tieBreak === 'overtime';
+  }
+
+  /**
+   * Store a team's roster from the selected tokens (GM only)
+   */
+  static async setTeamRoster(teamId, actorIds) {
+    if (!game.user.isGM) return;
+
+    const tournament = this.getTournament();
+    const team = tournament && this.getTeam(tournament, teamId);
+    if (!team) return;
+
+    team.actorIds = [...new Set(actorIds)];
+    await this.saveTournament(tournament);
+  }
+
+  /**
+   * Set up the next fixture when a match starts: team names and rosters (GM only).
+   * Returns the fixture, or null if there is nothing to play.
+   */
+  static async startNextFixture() {
+    if (!game.user.isGM) return null;
+
+    const tournament = this.getTournament();
+    if (!tournament) return null;
+
+    // Fixtures are head-to-head
+    if (ChronoballState.getTeams().length > 2) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Notifications.TournamentTwoTeams'));
+      return null;
+    }
+
+    // A fixture that was started but never finished is picked up again
+    const fixture = this.getCurrentFixture(tournament) || this.getNextFixture(tournament);
+    if (!fixture) return null;
+
+    const teamA = this.getTeam(tournament, fixture.slots[0].teamId);
+    const teamB = this.getTeam(tournament, fixture.slots[1].teamId);
+
+    await ChronoballState.updateState({ teamAName: teamA.name, teamBName: teamB.name });
+
+    if (teamA.actorIds.length > 0 && teamB.actorIds.length > 0) {
+      for (const token of canvas.tokens.placeables) {
+        if (ChronoballState.getTeamAssignment(token.id)) {
+          await ChronoballState.clearTeamAssignment(token.id);
+        }
+      }
+      await ChronoballRoster.assignActors('A', teamA.actorIds);
+      await ChronoballRoster.assignActors('B', teamB.actorIds);
+    } else {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.Notifications.TournamentNoRoster'));
+    }
+
+    fixture.status = 'playing';
+    tournament.currentFixtureId = fixture.id;
+    await this.saveTournament(tournament);
+
+    ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.TournamentFixture', { teamA: teamA.name, teamB: teamB.name }));
+    return fixture;
+  }
+
+  /**
+   * Record the result of the running fixture and advance the winner (GM only).
+   * Knockout ties are decided by the GM if overtime did not settle them.
+   */
+  static async recordResult(state, winner) {
+    if (!game.user.isGM) return;
+
+    const tournament = this.getTournament();
+    const fixture = this.getCurrentFixture(tournament);
+    if (!fixture) return;
+
+    const [teamAId, teamBId] = fixture.slots.map(s => s.teamId);
+    let winnerId = winner === 'A' ? teamAId : winner === 'B' ? teamBId : null;
+
+    if (!winnerId && this.isKnockout(fixture)) {
+      winnerId = await this.askWinnerPick(tournament, fixture);
+      if (!winnerId) {
+        // No pick: the fixture has to be replayed
+        fixture.status = 'ready';
+        tournament.currentFixtureId = null;
+        await this.saveTournament(tournament);
+        ui.notifications.warn(game.i18n.localize('CHRONOBALL.Notifications.TournamentReplay'));
+        return;
+      }
+    }
+
+    fixture.scores = { A: state.teamAScore, B: state.teamBScore };
+    fixture.winner = winnerId;
+    fixture.loser = winnerId ? (winnerId === teamAId ? teamBId : teamAId) : null;
+    fixture.status = 'done';
+    tournament.currentFixtureId = null;
+
+    this.resolveFixtures(tournament);
+    await this.saveTournament(tournament);
+
+    if (tournament.championId) {
+      await this.createChampionChatMessage(tournament);
+    } else {
+      const next = this.getNextFixture(tournament);
+      if (next) {
+        const nextA = this.getTeam(tournament, next.slots[0].teamId);
+        const nextB = this.getTeam(tournament, next.slots[1].teamId);
+        ui.notifications.info(game.i18n.format('CHRONOBALL.Notifications.TournamentNext', { teamA: nextA.name, teamB: nextB.name }));
+      }
+    }
+  }
+
+  /**
+   * Let the GM decide a tied knockout fixture. Resolves to the team ID or null.
+   */
+  static async askWinnerPick(tournament, fixture) {
+    const [teamA, teamB] = fixture.slots.map(s => this.getTeam(tournament, s.teamId));
+
+    return new Promise((resolve) => {
+      new Dialog({
+        title: game.i18n.localize('CHRONOBALL.Tournament.PickWinner'),
+        content: `<p>${game.i18n.localize('CHRONOBALL.Tournament.PickWinnerHint')}</p>`,
+        buttons: {
+          teamA: {
+            label: teamA.name,
+            callback: () => resolve(teamA.id)
+          },
+          teamB: {
+            label: teamB.name,
+            callback: () => resolve(teamB.id)
+          }
+        },
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Create champion chat message
+   */
+  static async createChampionChatMessage(tournament) {
+    const champion = this.getTeam(tournament, tournament.championId);
+
+    const content = `
+      <div class="chronoball-chat-message match-end">
+        <div class="message-header">
+          <span class="message-icon">🏆</span>
+          <span class="message-title">${tournament.name}</span>
+        </div>
+        <div class="message-body">
+          <p style="text-align: center; font-size: 18px; font-weight: bold;">
+            ${game.i18n.format('CHRONOBALL.Tournament.ChampionMessage', { team: champion?.name ?? '?' })}
+          </p>
+        </div>
+      </div>
+    `;
+
+    await ChronoballChat.createMessage({
+      content,
+      speaker: { alias: 'Chronoball' }
+    });
+  }
+}
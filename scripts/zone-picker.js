@@ -0,0 +1,103 @@
+/**
+ * ChronoballZonePicker - Pick an endzone tile or region on the canvas and outline zones
+ */
+
+import { ChronoballUtils } from './utils.js';
+
+export class ChronoballZonePicker {
+  static OUTLINE_DURATION = 3000;
+
+  /**
+   * Get every tile and region on the scene that can serve as a zone
+   */
+  static getCandidates() {
+    return [...(canvas.regions?.placeables ?? []), ...(canvas.tiles?.placeables ?? [])];
+  }
+
+  /**
+   * Enter selection mode: every tile and region on the scene is outlined and a left click
+   * picks the zone under the cursor. Right click or Escape cancels.
+   * Resolves to the picked TileDocument or RegionDocument, or null.
+   */
+  static async pick(color = '#ffffff') {
+    const candidates = this.getCandidates();
+    if (candidates.length === 0) {
+      ui.notifications.warn(game.i18n.localize('CHRONOBALL.ZonePicker.NoZones'));
+      return null;
+    }
+
+    const highlight = this.drawOutlines(candidates.map(c => c.document), color, 0.5);
+    ui.notifications.info(game.i18n.localize('CHRONOBALL.ZonePicker.Instructions'));
+
+    return new Promise((resolve) => {
+      const finish = (zone) => {
+        canvas.stage.off('click', onClick);
+        canvas.stage.off('rightdown', onCancel);
+        document.removeEventListener('keydown', onKey);
+        highlight.destroy();
+        resolve(zone);
+      };
+
+      const onClick = () => {
+        const pos = canvas.mousePosition;
+        const zone = pos ? this.getZoneAt(pos.x, pos.y) : null;
+        if (!zone) {
+          ui.notifications.warn(game.i18n.localize('CHRONOBALL.ZonePicker.NoZoneHere'));
+          return;
+        }
+        ChronoballUtils.log(`Chronoball | Zone picked: ${zone.uuid}`);
+        finish(zone);
+      };
+      const onCancel = () => finish(null);
+      const onKey = (event) => {
+        if (event.key === 'Escape') finish(null);
+      };
+
+      canvas.stage.on('click', onClick);
+      canvas.stage.on('rightdown', onCancel);
+      document.addEventListener('keydown', onKey);
+    });
+  }
+
+  /**
+   * Get the zone under a canvas point: regions first (by their actual shape),
+   * then the topmost tile
+   */
+  static getZoneAt(x, y) {
+    const region = canvas.regions?.placeables.find(r => r.document.polygonTree.testPoint({ x, y }));
+    if (region) return region.document;
+
+    const tile = canvas.tiles.placeables
+      .filter(t => t.bounds.contains(x, y))
+      .sort((a, b) => (b.document.elevation - a.document.elevation) || (b.document.sort - a.document.sort))[0];
+    return tile?.document ?? null;
+  }
+
+  /**
+   * Outline a zone in a colour for a few seconds
+   */
+  static showOutline(zoneDoc, color) {
+    if (!zoneDoc?.object) return;
+
+    const outline = this.drawOutlines([zoneDoc], color, 1, 6);
+    setTimeout(() => outline.destroy(), this.OUTLINE_DURATION);
+  }
+
+  /**
+   * Draw the outlines of tiles (rectangles) and regions (their shapes)
+   */
+  static drawOutlines(zoneDocs, color, alpha, width = 4) {
+    const graphics = new PIXI.Graphics();
+    graphics.lineStyle(width, Color.from(color), alpha);
+    for (const zone of zoneDocs) {
+      if (zone.documentName === 'Region') {
+        for (const polygon of zone.polygons) graphics.drawShape(polygon);
+      } else if (zone.object) {
+        const { x, y, width: w, height: h } = zone.object.bounds;
+        graphics.drawRect(x, y, w, h);
+      }
+    }
+    canvas.controls.addChild(graphics);
+    return graphics;
+  }
+}